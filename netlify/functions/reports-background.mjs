@@ -0,0 +1,15 @@
+import { runDueReports } from "../../src/lib/reports.js";
+import { verifyBackgroundDispatch } from "../../src/lib/backgroundFunctions.js";
+
+// Sends the due reports handed over by the reports scheduled function,
+// which would be cut off after 30 seconds with reports already claimed
+export default async (req) => {
+  const body = await req.text();
+  const signature = req.headers.get("x-dispatch-signature");
+  if (!verifyBackgroundDispatch(body, signature)) {
+    return new Response(null, { status: 401 });
+  }
+
+  await runDueReports();
+  return new Response(null, { status: 202 });
+};
@@ -0,0 +1,14 @@
+import { dispatchDueReports } from "../../src/lib/reports.js";
+
+// Like the sync, due email reports are sent by a scheduled function on
+// Netlify instead of the in-process interval. Scheduled functions are
+// stopped after 30 seconds, so the reports are sent in the
+// reports-background function.
+export const config = {
+  schedule: "*/5 * * * *",
+};
+
+export default async () => {
+  await dispatchDueReports();
+  return new Response(null, { status: 204 });
+};
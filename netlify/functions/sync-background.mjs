@@ -0,0 +1,24 @@
+import {
+  executeDispatchedRun,
+  runScheduledSync,
+} from "../../src/lib/syncJobs.js";
+import { verifyBackgroundDispatch } from "../../src/lib/backgroundFunctions.js";
+
+// Background functions may run for up to 15 minutes after answering 202, so
+// syncs started by the API or the schedule run here instead of being cut off
+// when those functions return
+export default async (req) => {
+  const body = await req.text();
+  const signature = req.headers.get("x-dispatch-signature");
+  if (!verifyBackgroundDispatch(body, signature)) {
+    return new Response(null, { status: 401 });
+  }
+
+  const { runId, scheduled } = JSON.parse(body);
+  if (runId) {
+    await executeDispatchedRun(runId);
+  } else if (scheduled) {
+    await runScheduledSync();
+  }
+  return new Response(null, { status: 202 });
+};
@@ -0,0 +1,13 @@
+import { dispatchScheduledSync } from "../../src/lib/syncJobs.js";
+
+// Netlify functions cannot keep an interval alive, so the background sync
+// is started by a scheduled function. Scheduled functions are stopped after
+// 30 seconds, so the sync itself runs in the sync-background function.
+export const config = {
+  schedule: "*/15 * * * *",
+};
+
+export default async () => {
+  await dispatchScheduledSync();
+  return new Response(null, { status: 204 });
+};
@@ -0,0 +1,62 @@
+-- Fills the full-text search column of calls, used by /search/calls and the
+-- query filter of /calls/export. The column and its GIN index belong to
+-- prisma/schema.prisma; Prisma cannot describe how the column is computed,
+-- so this adds a trigger that keeps it up to date. Run it after the schema
+-- has been applied with `npm run db:push` or `npm run db:migrate`:
+--
+--   npm run db:search-index
+--
+-- It is safe to run again. Filling the column updates every call once, so
+-- on a large table run it outside busy hours. Weights: A for the call ID
+-- and caller info, B for the summary, C for the transcript.
+
+CREATE OR REPLACE FUNCTION calls_search_vector(
+  call_id text,
+  caller_info text,
+  call_summary text,
+  transcript text
+) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT
+    setweight(to_tsvector('english', coalesce(call_id, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(caller_info, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(call_summary, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(transcript, '')), 'C')
+$$;
+
+CREATE OR REPLACE FUNCTION calls_search_vector_update() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.search_vector := calls_search_vector(
+    NEW.call_id, NEW.caller_info, NEW.call_summary, NEW.transcript
+  );
+  RETURN NEW;
+END
+$$;
+
+DO $$
+BEGIN
+  -- Earlier versions of this script made search_vector a generated column
+  IF EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'calls'
+      AND column_name = 'search_vector'
+      AND is_generated = 'ALWAYS'
+  ) THEN
+    ALTER TABLE calls ALTER COLUMN search_vector DROP EXPRESSION;
+  END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS calls_search_vector_update ON calls;
+CREATE TRIGGER calls_search_vector_update
+  BEFORE INSERT OR UPDATE OF call_id, caller_info, call_summary, transcript
+  ON calls
+  FOR EACH ROW EXECUTE FUNCTION calls_search_vector_update();
+
+UPDATE calls
+SET search_vector = calls_search_vector(
+  call_id, caller_info, call_summary, transcript
+)
+WHERE search_vector IS NULL;
@@ -5,10 +5,15 @@ import rateLimit from "express-rate-limit";
 import dotenv from "dotenv";
 import { logger } from "./lib/logger.js";
 import { ensureSuperAdmin } from "./lib/superadmin.js";
+import { ensureSystemRoles } from "./lib/permissions.js";
+import { startSyncScheduler } from "./lib/syncJobs.js";
+import { startReportScheduler } from "./lib/reports.js";
 import { errorHandler } from "./middleware/errorHandler.js";
 import { authMiddleware } from "./middleware/auth.js";
 import authRoutes from "./routes/auth.js";
 import dashboardRoutes from "./routes/dashboard.js";
+import webhookRoutes from "./routes/webhooks.js";
+import recordingRoutes from "./routes/recordings.js";
 
 // Load environment variables
 dotenv.config();
@@ -33,11 +38,32 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later.",
+  // Webhooks arrive from Retell's servers, not end users, and recordings
+  // have their own limit below
+  skip: (req) =>
+    req.path.startsWith("/api/webhooks") ||
+    req.path.startsWith("/api/recordings"),
 });
 app.use(limiter);
 
+// Audio players send a Range request for every seek, so recording playback
+// needs far more requests than the API
+const recordingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Number(process.env.RECORDING_RATE_LIMIT || 1000),
+  message: "Too many recording requests from this IP, please try again later.",
+});
+
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body around for webhook signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -61,6 +87,12 @@ app.get("/health", (req, res) => {
 // Public auth routes
 app.use("/api/auth", authRoutes);
 
+// Signed webhook routes (authenticated by signature, not API key)
+app.use("/api/webhooks", webhookRoutes);
+
+// Recording playback (authenticated by signed URL, not API key)
+app.use("/api/recordings", recordingLimiter, recordingRoutes);
+
 // API routes with authentication
 app.use("/api/dashboard", authMiddleware, dashboardRoutes);
 
@@ -89,6 +121,11 @@ if (isNodeRuntime) {
     ensureSuperAdmin().catch((error) => {
       logger.error("Failed to bootstrap superadmin", { error: error.message });
     });
+    ensureSystemRoles().catch((error) => {
+      logger.error("Failed to create system roles", { error: error.message });
+    });
+    startSyncScheduler();
+    startReportScheduler();
   });
 }
 
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+import { PERMISSIONS } from "./permissions.js";
+
+export const API_KEY_PREFIX = "avx_";
+
+// A key can be granted any permission; it only takes effect if the key's
+// owner holds it too
+export const API_KEY_SCOPES = PERMISSIONS;
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Whether a credential looks like a key issued by this server
+ * (as opposed to a JWT)
+ * @param {string} key - Credential from the request
+ * @returns {boolean}
+ */
+export const isIssuedApiKey = (key) =>
+  typeof key === "string" && key.startsWith(API_KEY_PREFIX);
+
+/**
+ * Generate a new API key. Only the hash is stored; the plaintext key is
+ * shown to the caller once.
+ * @returns {{key: string, prefix: string, keyHash: string}}
+ */
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+  };
+};
+
+/**
+ * Admin whose permissions an organization key acts with: the one who created
+ * it, as long as they are still an approved admin
+ * @param {Object} apiKey - Organization API key
+ * @returns {Promise<Object|null>} - { role, role_id }, or null
+ */
+const findOrganizationKeyCreator = async (apiKey) => {
+  const creator = apiKey.created_by_id
+    ? await prisma.user.findUnique({
+        where: { id: apiKey.created_by_id },
+        select: { role: true, role_id: true, status: true },
+      })
+    : null;
+  if (
+    !creator ||
+    creator.status !== "APPROVED" ||
+    !["ADMIN", "SUPERADMIN"].includes(creator.role)
+  ) {
+    return null;
+  }
+  return creator;
+};
+
+/**
+ * Look up an active API key and record its use
+ * @param {string} key - Plaintext API key
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object|null>} - Key with its user (or, for organization
+ *   keys, its creator), or null if the key is unknown, revoked or expired,
+ *   or its owner or creator may no longer use it
+ */
+export const authenticateApiKey = async (key, ip) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { key_hash: hashApiKey(key) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          role: true,
+          role_id: true,
+          status: true,
+          organization_id: true,
+        },
+      },
+    },
+  });
+
+  if (
+    !apiKey ||
+    apiKey.revoked_at ||
+    (apiKey.expires_at && apiKey.expires_at <= new Date()) ||
+    (apiKey.user && apiKey.user.status !== "APPROVED")
+  ) {
+    return null;
+  }
+
+  const creator = apiKey.user ? null : await findOrganizationKeyCreator(apiKey);
+  if (!apiKey.user && !creator) {
+    return null;
+  }
+
+  // Usage tracking must not fail the request
+  prisma.apiKey
+    .update({
+      where: { id: apiKey.id },
+      data: { last_used_at: new Date(), last_used_ip: ip || null },
+    })
+    .catch((error) => {
+      logger.warn("Failed to record API key usage", {
+        apiKeyId: apiKey.id,
+        error: error.message,
+      });
+    });
+
+  return { ...apiKey, creator };
+};
@@ -0,0 +1,141 @@
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+
+// Never copied into audit diffs
+const REDACTED_FIELDS = new Set([
+  "passwordHash",
+  "totp_secret",
+  "totp_recovery_codes",
+  "totp_last_used_step",
+  "key_hash",
+  "refresh_token_hash",
+  "previous_token_hash",
+  "token_hash",
+]);
+
+const toJsonValue = (value) => {
+  if (typeof value === "bigint") {
+    return Number(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+/**
+ * Field-level diff between two versions of a record. For updates only the
+ * fields present in `after` are compared, so `before` may be a full row and
+ * `after` the selected response.
+ * @param {Object|null} before - Record before the change (null if created)
+ * @param {Object|null} after - Record after the change (null if deleted)
+ * @returns {Object|null} - { field: { from, to } } for changed fields, or
+ *   null when nothing changed
+ */
+export const diffRecords = (before, after) => {
+  const keys = Object.keys(after || before || {});
+  const changes = {};
+
+  for (const key of keys) {
+    if (REDACTED_FIELDS.has(key) || key === "updated_at") {
+      continue;
+    }
+    const from = toJsonValue(before ? before[key] : undefined);
+    const to = toJsonValue(after ? after[key] : undefined);
+    if (
+      (from !== null && typeof from === "object") ||
+      (to !== null && typeof to === "object")
+    ) {
+      if (JSON.stringify(from) === JSON.stringify(to)) {
+        continue;
+      }
+    } else if (from === to) {
+      continue;
+    }
+    changes[key] = { from: from ?? null, to: to ?? null };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Work out who performed a request
+ * @param {Object} req - Express request
+ * @returns {{actorType: string, actorUserId: string|null, actorApiKeyId: string|null}}
+ */
+const resolveActor = (req) => {
+  if (req.apiKey) {
+    return {
+      actorType: "API_KEY",
+      actorUserId: req.user?.id || null,
+      actorApiKeyId: req.apiKey.id,
+    };
+  }
+  if (req.user?.id) {
+    return { actorType: "USER", actorUserId: req.user.id, actorApiKeyId: null };
+  }
+  return { actorType: "ANONYMOUS", actorUserId: null, actorApiKeyId: null };
+};
+
+/**
+ * Record an audit event. Failures are logged rather than thrown, so that
+ * auditing never undoes an action that already happened.
+ * @param {Object} req - Express request the action was made in
+ * @param {Object} event - Event details
+ * @param {string} event.action - Dotted action name, e.g. "user.update"
+ * @param {string} event.targetType - Kind of record acted on, e.g. "user"
+ * @param {string} event.targetId - ID of the record acted on
+ * @param {string} event.organizationId - Organization the target belongs to
+ * @param {Object} event.before - Record before the change
+ * @param {Object} event.after - Record after the change
+ * @param {Object} event.metadata - Extra context (request parameters, counts)
+ * @param {string} event.actorUserId - Actor for unauthenticated routes where
+ *   the user is only known from the request body (login, password reset)
+ */
+export const recordAuditEvent = async (
+  req,
+  {
+    action,
+    targetType = null,
+    targetId = null,
+    organizationId = null,
+    before = null,
+    after = null,
+    metadata = null,
+    actorUserId,
+  }
+) => {
+  const actor =
+    actorUserId !== undefined && !req.user
+      ? {
+          actorType: actorUserId ? "USER" : "ANONYMOUS",
+          actorUserId,
+          actorApiKeyId: null,
+        }
+      : resolveActor(req);
+
+  try {
+    await prisma.auditEvent.create({
+      data: {
+        action,
+        actor_type: actor.actorType,
+        actor_user_id: actor.actorUserId,
+        actor_api_key_id: actor.actorApiKeyId,
+        target_type: targetType,
+        target_id: targetId,
+        organization_id: organizationId,
+        changes: diffRecords(before, after) ?? undefined,
+        metadata: metadata ?? undefined,
+        ip: req.ip || null,
+        user_agent: req.get("User-Agent") || null,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to record audit event", {
+      action,
+      targetType,
+      targetId,
+      error: error.message,
+    });
+  }
+};
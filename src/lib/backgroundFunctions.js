@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import axios from "axios";
+
+// Netlify stops scheduled functions after 30 seconds and freezes the API
+// function once its response is sent, so longer work is posted to
+// background functions, which may run for up to 15 minutes
+const BACKGROUND_FUNCTIONS_PATH = "/.netlify/functions";
+
+const getDispatchSecret = () => {
+  const secret = process.env.SYNC_DISPATCH_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("SYNC_DISPATCH_SECRET or JWT_SECRET must be configured");
+  }
+  return secret;
+};
+
+const signDispatch = (body) =>
+  crypto.createHmac("sha256", getDispatchSecret()).update(body).digest("hex");
+
+/**
+ * Check the signature of a request to a background function
+ * @param {string} body - Raw request body
+ * @param {string} signature - x-dispatch-signature header
+ * @returns {boolean}
+ */
+export const verifyBackgroundDispatch = (body, signature) => {
+  if (typeof signature !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(signDispatch(body));
+  const provided = Buffer.from(signature);
+  return (
+    expected.length === provided.length &&
+    crypto.timingSafeEqual(expected, provided)
+  );
+};
+
+/**
+ * Start a background function of this site with a signed payload
+ * @param {string} name - Function name, e.g. sync-background
+ * @param {Object} payload - JSON body handed to the function
+ */
+export const postToBackgroundFunction = async (name, payload) => {
+  const body = JSON.stringify(payload);
+  await axios.post(
+    `${process.env.URL}${BACKGROUND_FUNCTIONS_PATH}/${name}`,
+    body,
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "x-dispatch-signature": signDispatch(body),
+      },
+      timeout: 10000,
+    }
+  );
+};
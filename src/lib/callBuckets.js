@@ -0,0 +1,148 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./database.js";
+import { ValidationError } from "../middleware/errorHandler.js";
+
+export const BUCKET_GRANULARITIES = ["hour", "day", "week", "month"];
+
+/**
+ * Most buckets one request may return
+ */
+export const MAX_CALL_BUCKETS = 1000;
+
+// Longest length of a bucket, so that ranges certain to exceed the limit
+// are rejected before querying; the query itself stops at the limit
+const MAX_BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 25 * 60 * 60 * 1000,
+  week: (7 * 24 + 1) * 60 * 60 * 1000,
+  month: (31 * 24 + 1) * 60 * 60 * 1000,
+};
+
+const tooManyBuckets = (granularity) =>
+  new ValidationError(
+    `The date range spans more than ${MAX_CALL_BUCKETS} ${granularity} ` +
+      "buckets; choose a shorter range or a coarser granularity"
+  );
+
+const BUCKET_LABEL_FORMATS = {
+  hour: 'YYYY-MM-DD"T"HH24:00',
+  day: "YYYY-MM-DD",
+  week: "YYYY-MM-DD",
+  month: "YYYY-MM-DD",
+};
+
+const toLocalBucket = (timestampSql, granularity, timezone) =>
+  Prisma.sql`date_trunc(${granularity}, to_timestamp(${timestampSql}::double precision / 1000) AT TIME ZONE ${timezone})`;
+
+/**
+ * Aggregate calls into zero-filled time buckets inside PostgreSQL.
+ * Bucket boundaries follow the local calendar of `timezone`; weeks start on
+ * Monday. Without a range, buckets span the first to the last matching call.
+ * Throws ValidationError when there would be more than MAX_CALL_BUCKETS.
+ * @param {Object} options - Query options
+ * @param {string} options.granularity - One of BUCKET_GRANULARITIES
+ * @param {Object} options.range - Result of resolveDateRange
+ * @param {string[]} options.agentIds - Restrict to these agents (optional)
+ * @returns {Promise<Array>} - Buckets ordered by start time
+ */
+export const getCallBuckets = async ({ granularity, range, agentIds }) => {
+  const { timezone } = range;
+  if (
+    range.start !== null &&
+    range.end !== null &&
+    (range.end - range.start) / MAX_BUCKET_MS[granularity] > MAX_CALL_BUCKETS
+  ) {
+    throw tooManyBuckets(granularity);
+  }
+
+  const conditions = [];
+  if (agentIds) {
+    conditions.push(
+      agentIds.length > 0
+        ? Prisma.sql`agent_id IN (${Prisma.join(agentIds)})`
+        : Prisma.sql`FALSE`
+    );
+  }
+  if (range.start !== null) {
+    conditions.push(Prisma.sql`start_timestamp >= ${BigInt(range.start)}`);
+  }
+  if (range.end !== null) {
+    conditions.push(Prisma.sql`start_timestamp < ${BigInt(range.end)}`);
+  }
+  const whereSql =
+    conditions.length > 0
+      ? Prisma.sql`WHERE ${Prisma.join(conditions, " AND ")}`
+      : Prisma.empty;
+
+  const firstBucketSql =
+    range.start !== null
+      ? toLocalBucket(Prisma.sql`${BigInt(range.start)}`, granularity, timezone)
+      : Prisma.sql`NULL::timestamp`;
+  // The range end is exclusive, so its bucket is the one holding end - 1ms
+  const lastBucketSql =
+    range.end !== null
+      ? toLocalBucket(Prisma.sql`${BigInt(range.end - 1)}`, granularity, timezone)
+      : Prisma.sql`NULL::timestamp`;
+
+  const rows = await prisma.$queryRaw`
+    WITH stats AS (
+      SELECT
+        ${toLocalBucket(Prisma.sql`start_timestamp`, granularity, timezone)} AS bucket,
+        COUNT(*)::int AS total_calls,
+        COUNT(*) FILTER (WHERE call_successful)::int AS successful_calls,
+        COUNT(call_successful)::int AS analyzed_calls,
+        COALESCE(SUM(cost), 0)::float8 AS total_cost,
+        COALESCE(SUM(duration_seconds), 0)::int AS total_duration
+      FROM calls
+      ${whereSql}
+      GROUP BY 1
+    ),
+    bounds AS (
+      SELECT
+        COALESCE(${firstBucketSql}, MIN(bucket)) AS first_bucket,
+        COALESCE(${lastBucketSql}, MAX(bucket)) AS last_bucket
+      FROM stats
+    ),
+    buckets AS (
+      SELECT generate_series(
+        first_bucket,
+        last_bucket,
+        ('1 ' || ${granularity})::interval
+      ) AS bucket
+      FROM bounds
+      -- Open ranges end at the calls found, so they are only bounded here
+      LIMIT ${MAX_CALL_BUCKETS + 1}
+    )
+    SELECT
+      to_char(b.bucket, ${BUCKET_LABEL_FORMATS[granularity]}) AS label,
+      (EXTRACT(EPOCH FROM b.bucket AT TIME ZONE ${timezone}) * 1000)::bigint AS start_timestamp,
+      COALESCE(s.total_calls, 0) AS total_calls,
+      COALESCE(s.successful_calls, 0) AS successful_calls,
+      COALESCE(s.analyzed_calls, 0) AS analyzed_calls,
+      COALESCE(s.total_cost, 0) AS total_cost,
+      COALESCE(s.total_duration, 0) AS total_duration
+    FROM buckets b
+    LEFT JOIN stats s ON s.bucket = b.bucket
+    ORDER BY b.bucket
+  `;
+
+  if (rows.length > MAX_CALL_BUCKETS) {
+    throw tooManyBuckets(granularity);
+  }
+
+  return rows.map((row) => ({
+    date: row.label,
+    startTimestamp: Number(row.start_timestamp),
+    totalCalls: row.total_calls,
+    successfulCalls: row.successful_calls,
+    analyzedCalls: row.analyzed_calls,
+    totalCost: Math.round(row.total_cost * 100) / 100,
+    totalDuration: row.total_duration,
+    avgDurationSeconds:
+      row.total_calls > 0 ? Math.round(row.total_duration / row.total_calls) : 0,
+    avgCost:
+      row.total_calls > 0
+        ? Math.round((row.total_cost / row.total_calls) * 100) / 100
+        : 0,
+  }));
+};
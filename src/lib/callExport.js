@@ -0,0 +1,265 @@
+import { prisma } from "./database.js";
+import { XlsxWriter, waitForDrain } from "./xlsx.js";
+import { findMatchingCallIds } from "./callSearch.js";
+
+const BATCH_SIZE = 500;
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+const toIsoString = (timestamp) =>
+  timestamp ? new Date(Number(timestamp)).toISOString() : null;
+
+/**
+ * Columns that can be exported, in their default order. `text` formats a
+ * value for CSV where the typed value would read ambiguously.
+ */
+export const EXPORT_COLUMNS = {
+  call_id: { value: (call) => call.call_id },
+  agent_id: { value: (call) => call.agent_id },
+  agent_name: { value: (call) => call.agent?.agent_name ?? null },
+  start_time: { value: (call) => toIsoString(call.start_timestamp) },
+  end_time: { value: (call) => toIsoString(call.end_timestamp) },
+  duration_seconds: { value: (call) => call.duration_seconds },
+  call_status: { value: (call) => call.call_status },
+  disconnection_reason: { value: (call) => call.disconnection_reason },
+  cost: {
+    value: (call) => Math.round(call.cost * 100) / 100,
+    text: (value) => value.toFixed(2),
+  },
+  user_sentiment: { value: (call) => call.user_sentiment },
+  call_successful: { value: (call) => call.call_successful },
+  in_voicemail: { value: (call) => call.in_voicemail },
+  direction: { value: (call) => call.direction },
+  from_number: { value: (call) => call.from_number },
+  to_number: { value: (call) => call.to_number },
+  caller_info: { value: (call) => call.caller_info },
+  call_summary: { value: (call) => call.call_summary },
+  custom_analysis_data: { value: (call) => call.custom_analysis_data },
+  transcript: { value: (call) => call.transcript },
+};
+
+/**
+ * Columns exported when none are requested; the transcript is opt-in
+ */
+export const DEFAULT_EXPORT_COLUMNS = Object.keys(EXPORT_COLUMNS).filter(
+  (column) => column !== "transcript"
+);
+
+/**
+ * Columns that reveal what was said on a call and need transcripts:read
+ */
+export const TRANSCRIPT_COLUMNS = ["transcript", "call_summary"];
+
+// Single fields of custom analysis data, e.g. custom.appointment_date
+const CUSTOM_COLUMN_PATTERN = /^custom\.([A-Za-z0-9_]+)$/;
+
+/**
+ * Check that a column name can be exported
+ * @param {string} column - Key of EXPORT_COLUMNS or custom.<field>
+ * @returns {boolean}
+ */
+export const isExportColumn = (column) =>
+  Object.hasOwn(EXPORT_COLUMNS, column) || CUSTOM_COLUMN_PATTERN.test(column);
+
+const columnValue = (column, call) => {
+  const custom = column.match(CUSTOM_COLUMN_PATTERN);
+  if (custom) {
+    return call.custom_analysis_data?.[custom[1]] ?? null;
+  }
+  return EXPORT_COLUMNS[column].value(call) ?? null;
+};
+
+const exportSelect = {
+  call_id: true,
+  agent_id: true,
+  start_timestamp: true,
+  end_timestamp: true,
+  duration_seconds: true,
+  call_status: true,
+  disconnection_reason: true,
+  cost: true,
+  user_sentiment: true,
+  call_successful: true,
+  in_voicemail: true,
+  direction: true,
+  from_number: true,
+  to_number: true,
+  caller_info: true,
+  call_summary: true,
+  custom_analysis_data: true,
+  agent: { select: { agent_name: true } },
+};
+
+const callOrder = [{ start_timestamp: "desc" }, { id: "desc" }];
+
+/**
+ * Read matching calls in batches, newest first
+ * @param {Object} where - Prisma where clause
+ * @param {boolean} includeTranscript - Whether to load transcripts
+ */
+async function* findCallsInBatches(where, includeTranscript) {
+  let cursor;
+  for (;;) {
+    const calls = await prisma.call.findMany({
+      where,
+      orderBy: callOrder,
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      select: { ...exportSelect, id: true, transcript: includeTranscript },
+    });
+    if (calls.length > 0) {
+      yield calls;
+    }
+    if (calls.length < BATCH_SIZE) {
+      return;
+    }
+    cursor = calls[calls.length - 1].id;
+  }
+}
+
+/**
+ * Read the calls matching a full-text search and a where clause in batches,
+ * newest first like other exports, not by relevance. The search index picks
+ * the candidates, paged newest first, and each page is narrowed down by the
+ * where clause, keeping the order of the page.
+ * @param {Object} where - Prisma where clause
+ * @param {boolean} includeTranscript - Whether to load transcripts
+ * @param {Object} search - { query, includeTranscripts } for callSearch
+ */
+async function* findSearchedCallsInBatches(where, includeTranscript, search) {
+  for await (const ids of findMatchingCallIds({
+    ...search,
+    batchSize: BATCH_SIZE,
+  })) {
+    const calls = await prisma.call.findMany({
+      where: { AND: [where, { id: { in: ids } }] },
+      select: { ...exportSelect, id: true, transcript: includeTranscript },
+    });
+    if (calls.length > 0) {
+      const callsById = new Map(calls.map((call) => [call.id, call]));
+      yield ids
+        .filter((id) => callsById.has(id))
+        .map((id) => callsById.get(id));
+    }
+  }
+}
+
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await waitForDrain(res);
+  }
+};
+
+// Spreadsheet applications run cells starting with these as formulas.
+// Phone numbers such as +14155550123 are left alone.
+const FORMULA_PREFIX = /^[=@\t\r]|^[+-](?![\d\s().+-]*$)/;
+
+const csvField = (value, column) => {
+  if (value === null) {
+    return "";
+  }
+  let text;
+  if (typeof value === "string") {
+    text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = EXPORT_COLUMNS[column]?.text?.(value) ?? String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvWriter = (res, columns) => ({
+  // The byte order mark makes Excel read the file as UTF-8
+  start: () => write(res, `\ufeff${columns.join(",")}\r\n`),
+  row: (values) =>
+    write(
+      res,
+      `${values.map((value, i) => csvField(value, columns[i])).join(",")}\r\n`
+    ),
+  end: async () => {},
+});
+
+const ndjsonWriter = (res, columns) => ({
+  start: async () => {},
+  row: (values) =>
+    write(
+      res,
+      `${JSON.stringify(
+        Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+      )}\n`
+    ),
+  end: async () => {},
+});
+
+const xlsxWriter = (res, columns) => {
+  const workbook = new XlsxWriter(res, { sheetName: "Calls" });
+  return {
+    start: async () => {
+      await workbook.start();
+      await workbook.writeRow(columns);
+    },
+    row: (values) => workbook.writeRow(values),
+    end: () => workbook.end(),
+  };
+};
+
+const WRITERS = { csv: csvWriter, ndjson: ndjsonWriter, xlsx: xlsxWriter };
+
+/**
+ * Stream every call matching a filter to the response. The first batch is
+ * read before anything is written, so a failing query can still be
+ * answered with an error; the response is ended once all rows are written.
+ * @param {Object} res - Express response or other writable stream
+ * @param {Object} options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {string[]} options.columns - Validated column names
+ * @param {Object} options.where - Prisma where clause for calls
+ * @param {Object} [options.search] - Only calls matching this full-text
+ *   search: { query, includeTranscripts }, as for searchCalls
+ * @param {Object} [options.headers] - Response headers, set once the first
+ *   batch has been read
+ * @returns {Promise<number>} - Number of exported calls
+ */
+export const writeCallExport = async (
+  res,
+  { format, columns, where, search, headers }
+) => {
+  const writer = WRITERS[format](res, columns);
+  const includeTranscript = columns.includes("transcript");
+  const batches = search
+    ? findSearchedCallsInBatches(where, includeTranscript, search)
+    : findCallsInBatches(where, includeTranscript);
+  let count = 0;
+
+  let batch = await batches.next();
+  if (headers) {
+    res.set(headers);
+  }
+  await writer.start();
+  for (; !batch.done; batch = await batches.next()) {
+    for (const call of batch.value) {
+      // Stop reading once the client has gone away
+      if (res.destroyed) {
+        await batches.return();
+        return count;
+      }
+      await writer.row(columns.map((column) => columnValue(column, call)));
+      count += 1;
+    }
+  }
+  await writer.end();
+  res.end();
+  return count;
+};
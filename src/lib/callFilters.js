@@ -0,0 +1,184 @@
+import Joi from "joi";
+
+const CUSTOM_FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+const MAX_CUSTOM_FILTERS = 10;
+
+const customFieldValue = Joi.string().max(200);
+
+/**
+ * Joi keys for filtering calls by their fields. `custom` filters on custom
+ * analysis data, e.g. custom[appointment_reason]=cleaning or
+ * custom[appointment_date][gte]=2025-01-01.
+ */
+export const callFieldFilterKeys = {
+  minDuration: Joi.number().integer().min(0).optional(),
+  maxDuration: Joi.number().integer().min(0).optional(),
+  minCost: Joi.number().min(0).optional(),
+  maxCost: Joi.number().min(0).optional(),
+  sentiment: Joi.string().max(50).optional(),
+  callSuccessful: Joi.boolean().optional(),
+  disconnectionReason: Joi.string().max(100).optional(),
+  callerNumber: Joi.string()
+    .pattern(/\d/)
+    .max(50)
+    .optional()
+    .messages({ "string.pattern.base": "{{#label}} must contain a digit" }),
+  fromNumber: Joi.string().max(50).optional(),
+  toNumber: Joi.string().max(50).optional(),
+  direction: Joi.string().valid("inbound", "outbound").optional(),
+  inVoicemail: Joi.boolean().optional(),
+  custom: Joi.object()
+    .pattern(
+      CUSTOM_FIELD_PATTERN,
+      Joi.alternatives().try(
+        customFieldValue,
+        Joi.object({
+          gt: customFieldValue,
+          gte: customFieldValue,
+          lt: customFieldValue,
+          lte: customFieldValue,
+          contains: customFieldValue,
+        }).min(1)
+      )
+    )
+    .max(MAX_CUSTOM_FILTERS)
+    .optional(),
+};
+
+/**
+ * Query strings only carry text, while custom analysis values may be
+ * numbers or booleans, so a filter value matches all of its readings
+ * @param {string} value - Value from the query string
+ * @returns {Array} - JSON values the filter value can stand for
+ */
+const jsonReadings = (value) => {
+  const readings = [value];
+  if (value.trim() !== "" && !Number.isNaN(Number(value))) {
+    readings.push(Number(value));
+  }
+  if (value === "true" || value === "false") {
+    readings.push(value === "true");
+  }
+  return readings;
+};
+
+const comparisonReading = (value) =>
+  value.trim() !== "" && !Number.isNaN(Number(value)) ? Number(value) : value;
+
+/**
+ * Conditions on one custom analysis field
+ * @param {string} field - Key in custom_analysis_data
+ * @param {string|Object} filter - Value to match, or { gt, gte, lt, lte,
+ *   contains }
+ * @returns {Object[]} - Prisma where conditions, all of which must hold
+ */
+const customFieldConditions = (field, filter) => {
+  const path = [field];
+
+  if (typeof filter === "string") {
+    return [
+      {
+        OR: jsonReadings(filter).map((reading) => ({
+          custom_analysis_data: { path, equals: reading },
+        })),
+      },
+    ];
+  }
+
+  const conditions = [];
+  for (const operator of ["gt", "gte", "lt", "lte"]) {
+    if (filter[operator] !== undefined) {
+      conditions.push({
+        custom_analysis_data: {
+          path,
+          [operator]: comparisonReading(filter[operator]),
+        },
+      });
+    }
+  }
+  if (filter.contains !== undefined) {
+    conditions.push({
+      custom_analysis_data: { path, string_contains: filter.contains },
+    });
+  }
+  return conditions;
+};
+
+/**
+ * Inclusive range condition, or null when neither bound is given
+ * @param {number} [min] - Lower bound
+ * @param {number} [max] - Upper bound
+ * @returns {Object|null}
+ */
+const rangeCondition = (min, max) => {
+  if (min === undefined && max === undefined) {
+    return null;
+  }
+  return {
+    ...(min !== undefined && { gte: min }),
+    ...(max !== undefined && { lte: max }),
+  };
+};
+
+/**
+ * Build Prisma where conditions from validated callFieldFilterKeys values
+ * @param {Object} filters - Validated query values
+ * @returns {Object[]} - Conditions to combine with AND
+ */
+export const buildCallFieldConditions = ({
+  minDuration,
+  maxDuration,
+  minCost,
+  maxCost,
+  sentiment,
+  callSuccessful,
+  disconnectionReason,
+  callerNumber,
+  fromNumber,
+  toNumber,
+  direction,
+  inVoicemail,
+  custom,
+}) => {
+  const conditions = [];
+  const duration = rangeCondition(minDuration, maxDuration);
+  if (duration) {
+    conditions.push({ duration_seconds: duration });
+  }
+  const cost = rangeCondition(minCost, maxCost);
+  if (cost) {
+    conditions.push({ cost });
+  }
+  if (sentiment) {
+    conditions.push({ user_sentiment: sentiment });
+  }
+  if (callSuccessful !== undefined) {
+    conditions.push({ call_successful: callSuccessful });
+  }
+  if (disconnectionReason) {
+    conditions.push({ disconnection_reason: disconnectionReason });
+  }
+  if (callerNumber) {
+    // Numbers are stored in E.164, so match the digits whatever the
+    // formatting of the search, e.g. "(415) 555-01" finds +14155550123
+    conditions.push({
+      from_number: { contains: callerNumber.replace(/\D/g, "") },
+    });
+  }
+  if (fromNumber) {
+    conditions.push({ from_number: fromNumber });
+  }
+  if (toNumber) {
+    conditions.push({ to_number: toNumber });
+  }
+  if (direction) {
+    conditions.push({ direction });
+  }
+  if (inVoicemail !== undefined) {
+    conditions.push({ in_voicemail: inVoicemail });
+  }
+  for (const [field, filter] of Object.entries(custom || {})) {
+    conditions.push(...customFieldConditions(field, filter));
+  }
+  return conditions;
+};
@@ -0,0 +1,110 @@
+/**
+ * Convert Retell's transcript_object into the turns stored with a call.
+ * Times are seconds from the start of the recording; a turn spans its
+ * first to last word.
+ * @param {Object[]} transcriptObject - Utterances as returned by Retell
+ * @returns {Object[]|undefined} - [{ role, content, start, end, words }],
+ *   or undefined when Retell sent no utterances
+ */
+export const mapTranscriptTurns = (transcriptObject) => {
+  if (!Array.isArray(transcriptObject) || transcriptObject.length === 0) {
+    return undefined;
+  }
+
+  return transcriptObject.map((utterance) => {
+    const words = (utterance.words || [])
+      .filter((word) => typeof word?.word === "string")
+      .map((word) => ({
+        word: word.word,
+        start: word.start ?? null,
+        end: word.end ?? null,
+      }));
+
+    return {
+      role: utterance.role,
+      content: utterance.content || "",
+      start: words.length > 0 ? words[0].start : null,
+      end: words.length > 0 ? words[words.length - 1].end : null,
+      words,
+    };
+  });
+};
+
+/**
+ * Map a Retell call object onto the columns of the Call table.
+ * Shared by the sync-calls handler and the Retell webhook receiver so both
+ * ingestion paths store calls identically.
+ * @param {Object} call - Call object as returned by the Retell API
+ * @returns {Object} - Prisma data for the Call model
+ */
+export const mapRetellCall = (call) => {
+  const startTimestamp = call.start_timestamp || 0;
+  const endTimestamp = call.end_timestamp || startTimestamp;
+  const durationMs =
+    call.duration_ms ??
+    (call.end_timestamp ? call.end_timestamp - startTimestamp : 0);
+
+  return {
+    call_id: call.call_id,
+    agent_id: call.agent_id,
+    caller_info: call.caller_info || null,
+    start_timestamp: BigInt(startTimestamp),
+    end_timestamp: BigInt(endTimestamp),
+    duration_ms: durationMs,
+    // Calculate duration in seconds
+    duration_seconds: Math.floor(durationMs / 1000),
+    transcript: call.transcript || null,
+    // Json columns are left out rather than null when missing: Prisma Json
+    // columns do not take null, and updates must not drop data stored earlier
+    transcript_turns: mapTranscriptTurns(call.transcript_object),
+    call_status: call.call_status,
+    disconnection_reason: call.disconnection_reason || null,
+    cost: Math.round(call.call_cost?.combined_cost || 0),
+    call_summary: call.call_analysis?.call_summary || null,
+    user_sentiment: call.call_analysis?.user_sentiment || null,
+    // Unknown until the call is analyzed, rather than counted as failed
+    call_successful: call.call_analysis?.call_successful ?? null,
+    in_voicemail: call.call_analysis?.in_voicemail ?? null,
+    custom_analysis_data: call.call_analysis?.custom_analysis_data ?? undefined,
+    retell_llm_dynamic_variables: call.retell_llm_dynamic_variables ?? undefined,
+    metadata: call.metadata ?? undefined,
+    from_number: call.from_number || null,
+    to_number: call.to_number || null,
+    direction: call.direction || null,
+    recording_url: call.recording_url || null,
+  };
+};
+
+/**
+ * Same mapping as mapRetellCall, but limited to the fields actually present
+ * on the Retell payload. Used for updates from partial webhook events so a
+ * late call_ended event cannot wipe analysis written by call_analyzed.
+ * @param {Object} call - Call object as returned by the Retell API
+ * @returns {Object} - Prisma update data for the Call model
+ */
+export const mapRetellCallUpdate = (call) => {
+  const data = mapRetellCall(call);
+  const update = {};
+
+  for (const [field, value] of Object.entries(data)) {
+    if (value !== null) {
+      update[field] = value;
+    }
+  }
+
+  if (!call.start_timestamp) {
+    delete update.start_timestamp;
+  }
+  if (!call.end_timestamp) {
+    delete update.end_timestamp;
+    delete update.duration_ms;
+    delete update.duration_seconds;
+  }
+  if (!call.call_cost) {
+    delete update.cost;
+  }
+
+  return update;
+};
+
+export default mapRetellCall;
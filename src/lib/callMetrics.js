@@ -0,0 +1,112 @@
+import { prisma } from "./database.js";
+
+/**
+ * Overview metrics of an empty set of calls
+ */
+export const emptyOverviewMetrics = {
+  totalCalls: 0,
+  totalCost: 0,
+  avgCost: 0,
+  successfulCalls: 0,
+  analyzedCalls: 0,
+  successRate: 0,
+  totalDurationSeconds: 0,
+  avgDurationSeconds: 0,
+  callsByStatus: {},
+};
+
+/**
+ * Aggregate the call metrics shown on the analytics overview. The success
+ * rate is that of analyzed calls, since success is unknown until then.
+ * @param {Object} where - Prisma where clause for calls
+ * @returns {Promise<Object>}
+ */
+export const getOverviewMetrics = async (where) => {
+  const [
+    totalCalls,
+    totalCost,
+    successfulCalls,
+    analyzedCalls,
+    totalDuration,
+    callsByStatus,
+  ] = await Promise.all([
+    prisma.call.count({ where }),
+    prisma.call.aggregate({
+      where,
+      _sum: { cost: true },
+    }),
+    prisma.call.count({
+      where: { ...where, call_successful: true },
+    }),
+    prisma.call.count({
+      where: { ...where, call_successful: { not: null } },
+    }),
+    prisma.call.aggregate({
+      where,
+      _sum: { duration_seconds: true },
+    }),
+    prisma.call.groupBy({
+      by: ["call_status"],
+      where,
+      _count: true,
+    }),
+  ]);
+
+  const avgDuration =
+    totalCalls > 0
+      ? Math.round((totalDuration._sum.duration_seconds || 0) / totalCalls)
+      : 0;
+  const successRate =
+    analyzedCalls > 0 ? (successfulCalls / analyzedCalls) * 100 : 0;
+  const avgCost = totalCalls > 0 ? (totalCost._sum.cost || 0) / totalCalls : 0;
+
+  return {
+    totalCalls,
+    totalCost: totalCost._sum.cost || 0,
+    avgCost: Math.round(avgCost * 100) / 100,
+    successfulCalls,
+    analyzedCalls,
+    successRate: Math.round(successRate * 100) / 100,
+    totalDurationSeconds: totalDuration._sum.duration_seconds || 0,
+    avgDurationSeconds: avgDuration,
+    callsByStatus: callsByStatus.reduce((acc, item) => {
+      acc[item.call_status] = item._count;
+      return acc;
+    }, {}),
+  };
+};
+
+/**
+ * Count calls by user sentiment, ignoring calls without one
+ * @param {Object} where - Prisma where clause for calls
+ * @returns {Promise<{totalCallsWithSentiment: number,
+ *   sentimentDistribution: Object}>}
+ */
+export const getSentimentDistribution = async (where) => {
+  const sentimentStats = await prisma.call.groupBy({
+    by: ["user_sentiment"],
+    where: { ...where, user_sentiment: { not: null } },
+    _count: true,
+  });
+
+  const totalWithSentiment = sentimentStats.reduce(
+    (sum, stat) => sum + stat._count,
+    0
+  );
+
+  const sentimentDistribution = sentimentStats.reduce((acc, stat) => {
+    acc[stat.user_sentiment] = {
+      count: stat._count,
+      percentage:
+        totalWithSentiment > 0
+          ? Math.round((stat._count / totalWithSentiment) * 100)
+          : 0,
+    };
+    return acc;
+  }, {});
+
+  return {
+    totalCallsWithSentiment: totalWithSentiment,
+    sentimentDistribution,
+  };
+};
@@ -0,0 +1,334 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./database.js";
+
+// Marks ts_headline puts around matches; replaced by <mark> once the
+// snippet is HTML-escaped
+const HIGHLIGHT_START = "⟦";
+const HIGHLIGHT_END = "⟧";
+const HEADLINE_OPTIONS = [
+  `StartSel=${HIGHLIGHT_START}`,
+  `StopSel=${HIGHLIGHT_END}`,
+  "MaxFragments=3",
+  "MinWords=10",
+  "MaxWords=25",
+  'FragmentDelimiter=" … "',
+].join(", ");
+
+const TOKEN_PATTERN = /"([^"]*)"?|[()]|[^\s()"]+/g;
+const LEXEME_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (text) => {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const [token, phrase] = match;
+    if (phrase !== undefined) {
+      tokens.push({ type: "term", text: phrase, prefix: false });
+    } else if (token === "(" || token === ")") {
+      tokens.push({ type: token });
+    } else if (token === "OR" || token === "|") {
+      tokens.push({ type: "or" });
+    } else if (token === "AND" || token === "&") {
+      tokens.push({ type: "and" });
+    } else if (token === "NOT" || token === "-" || token === "!") {
+      tokens.push({ type: "not" });
+    } else {
+      const negated = token.startsWith("-") || token.startsWith("!");
+      if (negated) {
+        tokens.push({ type: "not" });
+      }
+      const word = negated ? token.slice(1) : token;
+      tokens.push({
+        type: "term",
+        text: word,
+        prefix: word.endsWith("*"),
+      });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * to_tsquery operand for a word or phrase. Only letters and digits are
+ * kept, so user input never reaches the tsquery syntax.
+ */
+const termQuery = ({ text, prefix }) => {
+  const lexemes = text.match(LEXEME_PATTERN);
+  if (!lexemes) {
+    return null;
+  }
+  const quoted = lexemes.map((lexeme) => `'${lexeme}'`);
+  if (prefix) {
+    quoted[quoted.length - 1] += ":*";
+  }
+  return quoted.length === 1 ? quoted[0] : `(${quoted.join(" <-> ")})`;
+};
+
+/**
+ * Translate a search string into to_tsquery syntax. Supports "quoted
+ * phrases", prefix* matches, OR, AND (implied between terms), NOT or a
+ * leading - or ! for negation, and parentheses.
+ * @param {string} text - Search string from the user
+ * @returns {string|null} - tsquery, or null without any searchable term
+ */
+export const parseSearchQuery = (text) => {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const peek = () => tokens[position]?.type;
+
+  const parseOperand = () => {
+    const token = tokens[position];
+    if (!token) {
+      return null;
+    }
+    position += 1;
+    if (token.type === "not") {
+      const operand = parseOperand();
+      return operand && `!${operand}`;
+    }
+    if (token.type === "(") {
+      const group = parseOr();
+      if (peek() === ")") {
+        position += 1;
+      }
+      return group && `(${group})`;
+    }
+    if (token.type === "term") {
+      return termQuery(token);
+    }
+    // Stray operators and closing parentheses are ignored
+    return null;
+  };
+
+  const parseAnd = () => {
+    const operands = [];
+    while (position < tokens.length && peek() !== "or" && peek() !== ")") {
+      if (peek() === "and") {
+        position += 1;
+        continue;
+      }
+      const operand = parseOperand();
+      if (operand) {
+        operands.push(operand);
+      }
+    }
+    return operands.length > 0 ? operands.join(" & ") : null;
+  };
+
+  function parseOr() {
+    const operands = [];
+    for (;;) {
+      const operand = parseAnd();
+      if (operand) {
+        operands.push(operand);
+      }
+      if (peek() !== "or") {
+        break;
+      }
+      position += 1;
+    }
+    if (operands.length === 0) {
+      return null;
+    }
+    return operands.length === 1 ? operands[0] : operands.join(" | ");
+  }
+
+  let query = null;
+  while (position < tokens.length) {
+    const part = parseOr();
+    if (part) {
+      query = query ? `${query} & ${part}` : part;
+    }
+    // Skip an unmatched closing parenthesis
+    if (peek() === ")") {
+      position += 1;
+    }
+  }
+  return query;
+};
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Turn a ts_headline result into HTML with <mark> around the matches
+ * @param {string|null} headline - ts_headline output
+ * @returns {string|null} - Snippet, or null when nothing matched in it
+ */
+const formatHighlight = (headline) => {
+  if (!headline || !headline.includes(HIGHLIGHT_START)) {
+    return null;
+  }
+  return escapeHtml(headline)
+    .replaceAll(HIGHLIGHT_START, "<mark>")
+    .replaceAll(HIGHLIGHT_END, "</mark>");
+};
+
+// Without transcript access only the A-weighted fields may match
+const searchVectorSql = (includeTranscripts) =>
+  includeTranscripts
+    ? Prisma.sql`c.search_vector`
+    : Prisma.sql`ts_filter(c.search_vector, '{a}')`;
+
+/**
+ * Condition on calls `c` matching the tsquery `q.query`, or the exact call
+ * ID searched for
+ */
+const searchMatchSql = (query, includeTranscripts) =>
+  Prisma.sql`((c.search_vector @@ q.query
+      AND ${searchVectorSql(includeTranscripts)} @@ q.query)
+    OR c.call_id = ${query.trim()})`;
+
+/**
+ * IDs of the calls matching a search, in batches, newest first across all
+ * batches (keyset pagination on start time and ID). Matches are the same as
+ * those of searchCalls; the order is not by relevance.
+ * @param {Object} options - Search options
+ * @param {string} options.query - Search string (see parseSearchQuery)
+ * @param {boolean} options.includeTranscripts - As for searchCalls
+ * @param {number} options.batchSize - IDs per batch
+ */
+export async function* findMatchingCallIds({
+  query,
+  includeTranscripts,
+  batchSize,
+}) {
+  const tsquery = parseSearchQuery(query);
+  if (!tsquery) {
+    return;
+  }
+
+  const matchSql = searchMatchSql(query, includeTranscripts);
+  let last = null;
+  for (;;) {
+    const afterSql = last
+      ? Prisma.sql`AND (c.start_timestamp, c.id)
+          < (${last.start_timestamp}, ${last.id})`
+      : Prisma.empty;
+    const rows = await prisma.$queryRaw`
+      WITH q AS (SELECT to_tsquery('english', ${tsquery}) AS query)
+      SELECT c.id, c.start_timestamp
+      FROM calls c, q
+      WHERE ${matchSql} ${afterSql}
+      ORDER BY c.start_timestamp DESC, c.id DESC
+      LIMIT ${batchSize}
+    `;
+    if (rows.length > 0) {
+      yield rows.map((row) => row.id);
+    }
+    if (rows.length < batchSize) {
+      return;
+    }
+    last = rows[rows.length - 1];
+  }
+}
+
+/**
+ * Full-text search over calls, ranked by relevance
+ * @param {Object} options - Search options
+ * @param {string} options.query - Search string (see parseSearchQuery)
+ * @param {boolean} options.includeTranscripts - Whether the summary and
+ *   transcript are searched and highlighted, or only the call ID and
+ *   caller info
+ * @param {string[]|null} options.agentIds - Restrict to these agents
+ * @param {string} options.callStatus - Only calls with this status
+ * @param {string} options.sentiment - Only calls with this user sentiment
+ * @param {Object} options.range - Result of resolveDateRange
+ * @param {string} options.sortBy - "relevance" or "date"
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip
+ * @returns {Promise<{results: Array<{id: string, rank: number,
+ *   highlight: string|null}>, total: number}>}
+ */
+export const searchCalls = async ({
+  query,
+  includeTranscripts,
+  agentIds,
+  callStatus,
+  sentiment,
+  range,
+  sortBy,
+  limit,
+  offset,
+}) => {
+  const tsquery = parseSearchQuery(query);
+  if (!tsquery) {
+    return { results: [], total: 0 };
+  }
+
+  const vectorSql = searchVectorSql(includeTranscripts);
+  const conditions = [searchMatchSql(query, includeTranscripts)];
+  if (agentIds) {
+    conditions.push(
+      agentIds.length > 0
+        ? Prisma.sql`c.agent_id IN (${Prisma.join(agentIds)})`
+        : Prisma.sql`FALSE`
+    );
+  }
+  if (callStatus) {
+    conditions.push(Prisma.sql`c.call_status = ${callStatus}`);
+  }
+  if (sentiment) {
+    conditions.push(Prisma.sql`c.user_sentiment = ${sentiment}`);
+  }
+  if (range.start !== null) {
+    conditions.push(Prisma.sql`c.start_timestamp >= ${BigInt(range.start)}`);
+  }
+  if (range.end !== null) {
+    conditions.push(Prisma.sql`c.start_timestamp < ${BigInt(range.end)}`);
+  }
+  const whereSql = Prisma.join(conditions, " AND ");
+
+  const pageOrderSql =
+    sortBy === "date"
+      ? Prisma.sql`c.start_timestamp DESC, c.id`
+      : Prisma.sql`rank DESC, c.start_timestamp DESC, c.id`;
+  const resultOrderSql =
+    sortBy === "date"
+      ? Prisma.sql`page.start_timestamp DESC, page.id`
+      : Prisma.sql`page.rank DESC, page.start_timestamp DESC, page.id`;
+  const highlightSql = includeTranscripts
+    ? Prisma.sql`ts_headline(
+        'english', c.transcript, q.query, ${HEADLINE_OPTIONS}
+      )`
+    : Prisma.sql`NULL::text`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      WITH q AS (SELECT to_tsquery('english', ${tsquery}) AS query),
+      page AS (
+        SELECT
+          c.id,
+          c.start_timestamp,
+          ts_rank_cd(${vectorSql}, q.query)::float8 AS rank
+        FROM calls c, q
+        WHERE ${whereSql}
+        ORDER BY ${pageOrderSql}
+        LIMIT ${limit} OFFSET ${offset}
+      )
+      SELECT page.id, page.rank, ${highlightSql} AS highlight
+      FROM page
+      JOIN calls c ON c.id = page.id, q
+      ORDER BY ${resultOrderSql}
+    `,
+    prisma.$queryRaw`
+      WITH q AS (SELECT to_tsquery('english', ${tsquery}) AS query)
+      SELECT COUNT(*)::int AS total
+      FROM calls c, q
+      WHERE ${whereSql}
+    `,
+  ]);
+
+  return {
+    results: rows.map((row) => ({
+      id: row.id,
+      rank: Math.round(row.rank * 10000) / 10000,
+      highlight: formatHighlight(row.highlight),
+    })),
+    total,
+  };
+};
@@ -0,0 +1,196 @@
+import Joi from "joi";
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is an IANA timezone name the runtime understands
+ * @param {string} timezone - e.g. "America/New_York"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isCalendarDay = (value) => {
+  const [year, month, date] = value.split("-").map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, date));
+  return (
+    parsed.getUTCFullYear() === year &&
+    parsed.getUTCMonth() === month - 1 &&
+    parsed.getUTCDate() === date
+  );
+};
+
+const dateValue = Joi.alternatives()
+  .try(
+    Joi.string()
+      .pattern(DATE_ONLY_PATTERN)
+      .custom((value, helpers) =>
+        isCalendarDay(value) ? value : helpers.error("date.base")
+      ),
+    Joi.date().iso()
+  )
+  .optional();
+
+/**
+ * Joi schema for an IANA timezone name
+ */
+export const timezoneValue = Joi.string()
+  .custom((value, helpers) =>
+    isValidTimezone(value) ? value : helpers.error("any.invalid")
+  )
+  .messages({ "any.invalid": "{{#label}} must be a valid IANA timezone" });
+
+/**
+ * Joi keys shared by every endpoint that accepts a date range.
+ * Dates are either plain calendar days (YYYY-MM-DD, interpreted in
+ * `timezone`) or full ISO 8601 timestamps.
+ */
+export const dateRangeKeys = {
+  startDate: dateValue,
+  endDate: dateValue,
+  timezone: timezoneValue.default("UTC"),
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {number}
+ */
+export const getTimezoneOffset = (timestamp, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = Number(part.value);
+  }
+
+  const asUtc = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second
+  );
+  return asUtc - (timestamp - (timestamp % 1000));
+};
+
+/**
+ * Unix timestamp of local midnight for a calendar day in a timezone
+ * @param {string} day - Calendar day as YYYY-MM-DD
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} - Unix timestamp in milliseconds
+ */
+export const startOfDayInTimezone = (day, timezone) => {
+  const [year, month, date] = day.split("-").map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, date);
+  const guess = utcMidnight - getTimezoneOffset(utcMidnight, timezone);
+  // Re-check at the guessed instant in case a DST change falls in between
+  return utcMidnight - getTimezoneOffset(guess, timezone);
+};
+
+const nextDay = (day) => {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, date) + DAY_MS)
+    .toISOString()
+    .split("T")[0];
+};
+
+/**
+ * Resolve validated startDate/endDate/timezone into a half-open interval.
+ * A calendar-day endDate includes that whole day.
+ * @param {Object} options - Validated query values
+ * @returns {{start: number|null, end: number|null, timezone: string}} -
+ *   Unix timestamps in milliseconds; end is exclusive
+ */
+export const resolveDateRange = ({ startDate, endDate, timezone = "UTC" }) => {
+  const toTimestamp = (value, isEnd) => {
+    if (!value) {
+      return null;
+    }
+    if (typeof value === "string") {
+      const start = startOfDayInTimezone(value, timezone);
+      return isEnd ? startOfDayInTimezone(nextDay(value), timezone) : start;
+    }
+    return value.getTime();
+  };
+
+  return {
+    start: toTimestamp(startDate, false),
+    end: toTimestamp(endDate, true),
+    timezone,
+  };
+};
+
+const shiftYear = (value, years) => {
+  if (typeof value === "string") {
+    const [year, month, date] = value.split("-").map(Number);
+    // Clamp Feb 29 to Feb 28 in non-leap years
+    const lastDay = new Date(Date.UTC(year + years, month, 0)).getUTCDate();
+    return [
+      String(year + years).padStart(4, "0"),
+      String(month).padStart(2, "0"),
+      String(Math.min(date, lastDay)).padStart(2, "0"),
+    ].join("-");
+  }
+  const shifted = new Date(value.getTime());
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return shifted;
+};
+
+/**
+ * Resolve the window a range is compared against
+ * @param {Object} options - Validated query values (startDate, endDate, timezone)
+ * @param {Object} range - Result of resolveDateRange for the same values
+ * @param {string} mode - "previous_period" (equal length, immediately before)
+ *   or "previous_year" (same dates one year earlier)
+ * @returns {{start: number, end: number, timezone: string}}
+ */
+export const resolveComparisonRange = (options, range, mode) => {
+  if (mode === "previous_year") {
+    return resolveDateRange({
+      startDate: shiftYear(options.startDate, -1),
+      endDate: shiftYear(options.endDate, -1),
+      timezone: range.timezone,
+    });
+  }
+
+  const length = range.end - range.start;
+  return {
+    start: range.start - length,
+    end: range.start,
+    timezone: range.timezone,
+  };
+};
+
+/**
+ * Build a Prisma filter on start_timestamp for a resolved range
+ * @param {Object} range - Result of resolveDateRange
+ * @returns {Object|undefined} - Filter, or undefined when the range is open
+ */
+export const buildTimestampFilter = (range) => {
+  if (range.start === null && range.end === null) {
+    return undefined;
+  }
+  return {
+    ...(range.start !== null && { gte: BigInt(range.start) }),
+    ...(range.end !== null && { lt: BigInt(range.end) }),
+  };
+};
@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+import { sendMail, appUrl } from "./mailer.js";
+import { ValidationError } from "../middleware/errorHandler.js";
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS || 7);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Whether anyone may create an account through POST /api/auth/register.
+ * When disabled, accounts are only created by accepting an invitation.
+ * @returns {boolean}
+ */
+export const isOpenRegistrationEnabled = () =>
+  process.env.OPEN_REGISTRATION !== "false";
+
+/**
+ * Status of an invitation derived from its timestamps
+ * @param {Object} invitation - Invitation record
+ * @returns {"PENDING"|"ACCEPTED"|"REVOKED"|"EXPIRED"}
+ */
+export const invitationStatus = (invitation) => {
+  if (invitation.accepted_at) return "ACCEPTED";
+  if (invitation.revoked_at) return "REVOKED";
+  if (invitation.expires_at <= new Date()) return "EXPIRED";
+  return "PENDING";
+};
+
+/**
+ * Where clause for invitations in a given status
+ * @param {string} status - One of the invitationStatus values
+ * @returns {Object}
+ */
+export const invitationStatusWhere = (status) => {
+  const now = new Date();
+  switch (status) {
+    case "ACCEPTED":
+      return { accepted_at: { not: null } };
+    case "REVOKED":
+      return { accepted_at: null, revoked_at: { not: null } };
+    case "EXPIRED":
+      return { accepted_at: null, revoked_at: null, expires_at: { lte: now } };
+    default:
+      return { accepted_at: null, revoked_at: null, expires_at: { gt: now } };
+  }
+};
+
+/**
+ * Create an invitation and email its one-time link. Earlier pending
+ * invitations for the same address stop working.
+ * @param {Object} options - Invitation details
+ * @param {string} options.email - Invitee address
+ * @param {string} options.role - Role the account is created with
+ * @param {string|null} options.organizationId - Organization to join
+ * @param {string[]} options.agentIds - Agents assigned on acceptance
+ * @param {Object} options.invitedBy - Inviting user (id, name, email), if any
+ * @returns {Promise<{invitation: Object, emailSent: boolean}>} - Invitation
+ *   record (without the token), and whether the email went out
+ */
+export const createInvitation = async ({
+  email,
+  role,
+  organizationId,
+  agentIds,
+  invitedBy,
+}) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  const [, invitation] = await prisma.$transaction([
+    prisma.invitation.updateMany({
+      where: { email, ...invitationStatusWhere("PENDING") },
+      data: { revoked_at: now },
+    }),
+    prisma.invitation.create({
+      data: {
+        email,
+        role,
+        organization_id: organizationId,
+        agent_ids: agentIds,
+        token_hash: hashToken(token),
+        invited_by_id: invitedBy?.id || null,
+        expires_at: new Date(
+          now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+        ),
+      },
+      include: { organization: { select: { name: true } } },
+    }),
+  ]);
+
+  const inviter = invitedBy?.name || invitedBy?.email || "An administrator";
+  const organizationName = invitation.organization?.name;
+  let emailSent = true;
+  try {
+    await sendMail({
+      to: email,
+      subject: "You have been invited to the AI Vox dashboard",
+      text: `${inviter} invited you to the AI Vox dashboard${
+        organizationName ? ` for ${organizationName}` : ""
+      }.\n\nSet your password to activate your account:\n\n${appUrl(
+        "/accept-invitation",
+        { token }
+      )}\n\nThe link expires in ${INVITATION_TTL_DAYS} days.`,
+    });
+  } catch (error) {
+    // The invitation stays valid; inviting the address again sends a new link
+    logger.error("Failed to send invitation email", {
+      invitationId: invitation.id,
+      error: error.message,
+    });
+    emailSent = false;
+  }
+
+  const { token_hash, organization, ...record } = invitation;
+  return { invitation: record, emailSent };
+};
+
+/**
+ * Find the pending invitation a token belongs to
+ * @param {string} token - Plaintext invitation token
+ * @returns {Promise<Object>} - Invitation with its organization name
+ */
+export const findPendingInvitation = async (token) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { token_hash: hashToken(token) },
+    include: { organization: { select: { name: true } } },
+  });
+  if (!invitation || invitationStatus(invitation) !== "PENDING") {
+    throw new ValidationError("Invalid or expired invitation");
+  }
+  return invitation;
+};
+
+/**
+ * Accept an invitation: create the approved, verified account with the
+ * invited role and organization and assign the invited agents that still
+ * belong to that organization
+ * @param {string} token - Plaintext invitation token
+ * @param {Object} account - Account details chosen by the invitee
+ * @param {string} account.passwordHash - bcrypt hash of the chosen password
+ * @param {string|null} account.name - Display name
+ * @returns {Promise<{user: Object, invitation: Object}>}
+ */
+export const acceptInvitation = async (token, { passwordHash, name }) =>
+  prisma.$transaction(async (tx) => {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    // Claim the invitation first so it cannot be accepted twice
+    const { count } = await tx.invitation.updateMany({
+      where: { token_hash: tokenHash, ...invitationStatusWhere("PENDING") },
+      data: { accepted_at: now },
+    });
+    if (count === 0) {
+      throw new ValidationError("Invalid or expired invitation");
+    }
+
+    const invitation = await tx.invitation.findUnique({
+      where: { token_hash: tokenHash },
+    });
+
+    const existing = await tx.user.findUnique({
+      where: { email: invitation.email },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new ValidationError("Email already in use");
+    }
+
+    const user = await tx.user.create({
+      data: {
+        email: invitation.email,
+        passwordHash,
+        name,
+        role: invitation.role,
+        status: "APPROVED",
+        email_verified_at: now,
+        organization_id: invitation.organization_id,
+      },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        status: true,
+        organization_id: true,
+        created_at: true,
+      },
+    });
+
+    const agents = await tx.agent.findMany({
+      where: {
+        agent_id: { in: invitation.agent_ids },
+        organization_id: invitation.organization_id,
+      },
+      select: { agent_id: true },
+    });
+    if (agents.length > 0) {
+      await tx.userAgent.createMany({
+        data: agents.map((agent) => ({
+          user_id: user.id,
+          agent_id: agent.agent_id,
+        })),
+      });
+    }
+
+    const accepted = await tx.invitation.update({
+      where: { id: invitation.id },
+      data: { accepted_user_id: user.id },
+    });
+
+    return {
+      user: { ...user, agentIds: agents.map((agent) => agent.agent_id) },
+      invitation: accepted,
+    };
+  });
@@ -0,0 +1,114 @@
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const MAX_DELAY_SECONDS = 30;
+// Failures further apart than this start a new count
+const ATTEMPT_WINDOW_MINUTES = Number(
+  process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15
+);
+
+/**
+ * Where clause for accounts currently locked out (short progressive delays
+ * are not included)
+ * @returns {Object}
+ */
+export const lockedAccountsWhere = () => ({
+  failed_login_attempts: { gte: MAX_FAILED_ATTEMPTS },
+  locked_until: { gt: new Date() },
+});
+
+/**
+ * How long an account is blocked after a number of consecutive failures:
+ * a delay doubling from 1 second (capped at 30), then a lockout once the
+ * maximum is reached
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @returns {number} - Milliseconds
+ */
+const blockDuration = (failedAttempts) => {
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    return LOCKOUT_MINUTES * 60 * 1000;
+  }
+  return Math.min(2 ** (failedAttempts - 1), MAX_DELAY_SECONDS) * 1000;
+};
+
+/**
+ * Whether an account is blocked after failed logins
+ * @param {Object} user - User record with locked_until
+ * @returns {boolean}
+ */
+export const isLoginBlocked = (user) =>
+  Boolean(user.locked_until && user.locked_until > new Date());
+
+/**
+ * Throw 429 while an account is blocked after failed logins
+ * @param {Object} user - User record with locked_until
+ * @param {Object} res - Express response, for the Retry-After header
+ */
+export const assertNotLocked = (user, res) => {
+  if (isLoginBlocked(user)) {
+    const retryAfter = Math.ceil((user.locked_until - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    throw new AppError(
+      user.failed_login_attempts >= MAX_FAILED_ATTEMPTS
+        ? "Account temporarily locked after too many failed login attempts"
+        : "Too many failed login attempts, please wait before retrying",
+      429
+    );
+  }
+};
+
+/**
+ * Record a failed password or two-factor attempt. The count starts over
+ * when the previous failure is older than LOGIN_ATTEMPT_WINDOW_MINUTES, so
+ * occasional typos never add up to a lockout.
+ * @param {Object} user - User record
+ * @param {string} ip - Client IP address
+ */
+export const recordFailedLogin = async (user, ip) => {
+  const windowStart = new Date(
+    Date.now() - ATTEMPT_WINDOW_MINUTES * 60 * 1000
+  );
+  const countStartsOver =
+    !user.last_failed_login_at || user.last_failed_login_at < windowStart;
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failed_login_attempts: countStartsOver ? 1 : { increment: 1 },
+      last_failed_login_at: new Date(),
+    },
+    select: { failed_login_attempts: true },
+  });
+
+  const lockedUntil = new Date(
+    Date.now() + blockDuration(updated.failed_login_attempts)
+  );
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { locked_until: lockedUntil },
+  });
+
+  if (updated.failed_login_attempts === MAX_FAILED_ATTEMPTS) {
+    logger.warn("Account locked after failed login attempts", {
+      userId: user.id,
+      ip,
+      lockedUntil,
+    });
+  }
+};
+
+/**
+ * Reset failed-attempt tracking after a successful login
+ * @param {Object} user - User record
+ */
+export const clearFailedLogins = async (user) => {
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { failed_login_attempts: 0, locked_until: null },
+    });
+  }
+};
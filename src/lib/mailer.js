@@ -0,0 +1,123 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+// Query parameters of emailed links that grant access, e.g. reset tokens
+const SECRET_PARAM_PATTERN = /([?&](?:token|code|signature)=)[^&\s"'<>]+/gi;
+
+/**
+ * Hide the secrets in the links of a message body
+ * @param {string} text - Message body
+ * @returns {string}
+ */
+export const redactMailSecrets = (text) =>
+  text.replace(SECRET_PARAM_PATTERN, "$1[redacted]");
+
+/**
+ * Transport that writes each message to the log instead of sending it.
+ * Tokens in links are redacted, since anyone who can read the logs could
+ * otherwise use them.
+ */
+export const createConsoleTransport = () => ({
+  name: "console",
+  send: async ({ text, html, attachments, ...message }) => {
+    logger.info("Mail (console transport)", {
+      ...message,
+      text: text && redactMailSecrets(text),
+      ...(html && { htmlLength: html.length }),
+      ...(attachments && {
+        attachments: attachments.map((attachment) => attachment.filename),
+      }),
+    });
+  },
+});
+
+/**
+ * Transport that writes each message to a JSON file in a directory,
+ * for development and tests
+ * @param {string} directory - Output directory, created if missing
+ */
+export const createFileTransport = (directory) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+const transportFactories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport(process.env.MAIL_FILE_DIR || "tmp/mail"),
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport that can then be selected with MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns an object with an async send(message)
+ */
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+/**
+ * Replace the active transport, e.g. with an in-memory one in tests
+ * @param {Object|null} transport - Object with an async send(message), or
+ *   null to fall back to MAIL_TRANSPORT
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body, sent alongside the text
+ * @param {Array<{filename: string, contentType: string, content: string}>}
+ *   [message.attachments] - Files to attach
+ */
+export const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const from = process.env.MAIL_FROM || "no-reply@localhost";
+  await getTransport().send({
+    from,
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    ...(attachments?.length && { attachments }),
+  });
+};
+
+/**
+ * Build a link into the dashboard frontend
+ * @param {string} pathname - Path on the frontend, e.g. "/reset-password"
+ * @param {Object} params - Query parameters
+ * @returns {string}
+ */
+export const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:5173");
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import axios from "axios";
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+import { sendMail, appUrl } from "./mailer.js";
+
+/**
+ * POST an event to NOTIFICATION_WEBHOOK_URL, if configured. With
+ * NOTIFICATION_WEBHOOK_SECRET set, the body is signed with HMAC-SHA256 in
+ * the x-signature header.
+ * @param {string} event - Event name, e.g. "user.registered"
+ * @param {Object} data - Event payload
+ */
+const postWebhook = async (event, data) => {
+  const url = process.env.NOTIFICATION_WEBHOOK_URL;
+  if (!url) {
+    return;
+  }
+
+  const body = JSON.stringify({
+    event,
+    data,
+    timestamp: new Date().toISOString(),
+  });
+  const headers = { "Content-Type": "application/json" };
+  const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+  if (secret) {
+    headers["x-signature"] = crypto
+      .createHmac("sha256", secret)
+      .update(body)
+      .digest("hex");
+  }
+
+  await axios.post(url, body, { headers, timeout: 10000 });
+};
+
+/**
+ * Run notification deliveries independently; failures are logged and never
+ * fail the request that triggered them
+ * @param {string} event - Event name, for logging
+ * @param {Promise[]} deliveries - Pending deliveries
+ */
+const settle = async (event, deliveries) => {
+  const results = await Promise.allSettled(deliveries);
+  for (const result of results) {
+    if (result.status === "rejected") {
+      logger.error("Failed to deliver notification", {
+        event,
+        error: result.reason?.message,
+      });
+    }
+  }
+};
+
+const publicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name || null,
+  status: user.status,
+});
+
+/**
+ * Tell superadmins that a registration is waiting for review
+ * @param {Object} user - Newly registered user
+ */
+export const notifyRegistrationReceived = async (user) => {
+  let superadmins = [];
+  try {
+    superadmins = await prisma.user.findMany({
+      where: { role: "SUPERADMIN", status: "APPROVED" },
+      select: { email: true },
+    });
+  } catch (error) {
+    logger.error("Failed to look up superadmins to notify", {
+      error: error.message,
+    });
+  }
+
+  await settle("user.registered", [
+    ...superadmins.map((superadmin) =>
+      sendMail({
+        to: superadmin.email,
+        subject: `New registration: ${user.email}`,
+        text: `${user.name || user.email} registered and is waiting for review.\n\n${appUrl(
+          "/users/pending"
+        )}`,
+      })
+    ),
+    postWebhook("user.registered", publicUser(user)),
+  ]);
+};
+
+/**
+ * Tell an applicant whether their registration was approved or rejected
+ * @param {Object} user - Reviewed user
+ * @param {string} decision - "APPROVED" or "REJECTED"
+ * @param {string|null} reason - Reason given by the reviewer
+ */
+export const notifyReviewDecision = async (user, decision, reason) => {
+  const approved = decision === "APPROVED";
+  const text = approved
+    ? `Your account has been approved. You can now sign in:\n\n${appUrl("/login")}`
+    : `Your registration was not approved.${
+        reason ? `\n\nReason: ${reason}` : ""
+      }`;
+
+  await settle(approved ? "user.approved" : "user.rejected", [
+    sendMail({
+      to: user.email,
+      subject: approved
+        ? "Your account has been approved"
+        : "Your registration was not approved",
+      text,
+    }),
+    postWebhook(approved ? "user.approved" : "user.rejected", {
+      ...publicUser(user),
+      reason: reason || null,
+    }),
+  ]);
+};
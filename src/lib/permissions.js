@@ -0,0 +1,162 @@
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+import { signRecordingUrl } from "./recordings.js";
+import { canAccessAgent } from "../middleware/agentScope.js";
+
+/**
+ * Every permission a role or API key can grant
+ */
+export const PERMISSIONS = [
+  "calls:read",
+  "transcripts:read",
+  "calls:export",
+  "recordings:listen",
+  "users:manage",
+  "sync:run",
+  "agents:edit",
+];
+
+/**
+ * Built-in roles used for users without a custom role. Their permissions
+ * are stored in the roles table and can be edited; these are the defaults
+ * they are created with.
+ */
+export const SYSTEM_ROLES = {
+  USER: {
+    name: "user",
+    description: "Reads calls of assigned agents",
+    permissions: [
+      "calls:read",
+      "transcripts:read",
+      "calls:export",
+      "recordings:listen",
+    ],
+  },
+  ADMIN: {
+    name: "admin",
+    description: "Manages users and agents of an organization",
+    permissions: [...PERMISSIONS],
+  },
+};
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+
+const loadRoles = async () => {
+  if (!roleCache || roleCache.loadedAt < Date.now() - ROLE_CACHE_TTL_MS) {
+    const roles = await prisma.role.findMany({
+      select: { id: true, name: true, permissions: true },
+    });
+    roleCache = {
+      loadedAt: Date.now(),
+      byId: new Map(roles.map((role) => [role.id, role])),
+      byName: new Map(roles.map((role) => [role.name, role])),
+    };
+  }
+  return roleCache;
+};
+
+/**
+ * Drop cached roles after they change. Other processes pick up changes
+ * within ROLE_CACHE_TTL_MS.
+ */
+export const invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+/**
+ * Create the built-in roles if they are missing
+ */
+export const ensureSystemRoles = async () => {
+  for (const role of Object.values(SYSTEM_ROLES)) {
+    const existing = await prisma.role.findUnique({
+      where: { name: role.name },
+      select: { id: true },
+    });
+    if (!existing) {
+      await prisma.role.create({ data: { ...role, is_system: true } });
+      logger.info("Created system role", { name: role.name });
+    }
+  }
+  invalidateRoleCache();
+};
+
+/**
+ * Permissions of a user: superadmins have all of them, otherwise those of
+ * their custom role, or of the built-in role for their tier
+ * @param {Object} user - { role, roleId }
+ * @returns {Promise<string[]>}
+ */
+export const getUserPermissions = async ({ role, roleId }) => {
+  if (role === "SUPERADMIN") {
+    return [...PERMISSIONS];
+  }
+
+  const roles = await loadRoles();
+  if (roleId && roles.byId.has(roleId)) {
+    return roles.byId.get(roleId).permissions;
+  }
+
+  const systemRole = SYSTEM_ROLES[role] || SYSTEM_ROLES.USER;
+  return (
+    roles.byName.get(systemRole.name)?.permissions ?? systemRole.permissions
+  );
+};
+
+/**
+ * Resolve the permissions of an authenticated request
+ * @param {Object} req - Express request after authentication
+ * @returns {Promise<Set<string>>}
+ */
+export const resolveRequestPermissions = async (req) => {
+  const permissions = await getUserPermissions(req.apiKey?.creator || req.user);
+
+  // API keys are limited to both their scopes and what their owner (for
+  // organization keys, their creator) may do
+  if (req.apiKey) {
+    return new Set(
+      permissions.filter((permission) =>
+        req.apiKey.scopes.includes(permission)
+      )
+    );
+  }
+  return new Set(permissions);
+};
+
+/**
+ * Whether the caller holds a permission
+ * @param {Object} req - Express request with req.permissions
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (req, permission) =>
+  Boolean(req.permissions?.has(permission));
+
+/**
+ * Remove call fields the caller may not see: transcript, turns and summary
+ * without transcripts:read, the recording without recordings:listen or
+ * without RECORDINGS access to the call's agent. Retell's recording URL is
+ * never returned; callers get a signed playback URL instead.
+ * @param {Object} req - Express request with req.permissions and
+ *   req.agentScope
+ * @param {Object} call - Call as returned to the client, with call_id and
+ *   agent_id
+ * @returns {Object}
+ */
+export const redactCallFields = (req, call) => {
+  const redacted = { ...call };
+  if (!hasPermission(req, "transcripts:read")) {
+    delete redacted.transcript;
+    delete redacted.transcript_turns;
+    delete redacted.call_summary;
+  }
+  if (
+    !hasPermission(req, "recordings:listen") ||
+    !canAccessAgent(req, call.agent_id, "RECORDINGS")
+  ) {
+    delete redacted.recording_url;
+  } else if (redacted.recording_url) {
+    redacted.recording_url = signRecordingUrl(call.call_id).url;
+  }
+  return redacted;
+};
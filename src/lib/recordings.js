@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import axios from "axios";
+import { logger } from "./logger.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+const RECORDING_URL_TTL_SECONDS = Number(
+  process.env.RECORDING_URL_TTL_SECONDS || 600
+);
+
+// Upstream headers passed on to the client so players can seek
+const FORWARDED_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "last-modified",
+  "etag",
+];
+
+const getSigningSecret = () => {
+  const secret = process.env.RECORDING_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("RECORDING_URL_SECRET or JWT_SECRET must be configured");
+  }
+  return secret;
+};
+
+const sign = (callId, expires) =>
+  crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`recording:${callId}:${expires}`)
+    .digest("hex");
+
+/**
+ * Issue a short-lived URL for playing a call's recording without a bearer
+ * header. The path is relative to the API's origin.
+ * @param {string} callId - Retell call ID
+ * @returns {{url: string, expiresAt: string}}
+ */
+export const signRecordingUrl = (callId) => {
+  const expires = Math.floor(Date.now() / 1000) + RECORDING_URL_TTL_SECONDS;
+  const params = new URLSearchParams({
+    expires: String(expires),
+    signature: sign(callId, expires),
+  });
+  return {
+    url: `/api/recordings/${encodeURIComponent(callId)}?${params}`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+};
+
+/**
+ * Check a signed recording URL issued by signRecordingUrl
+ * @param {string} callId - Retell call ID from the path
+ * @param {string} expires - Unix timestamp (seconds) from the query string
+ * @param {string} signature - Signature from the query string
+ * @returns {boolean}
+ */
+export const verifyRecordingSignature = (callId, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (
+    !Number.isInteger(expiresAt) ||
+    expiresAt <= Date.now() / 1000 ||
+    typeof signature !== "string"
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(callId, expiresAt), "hex");
+  const provided = Buffer.from(signature, "hex");
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+};
+
+/**
+ * Stream a recording from Retell's storage to the client, passing Range
+ * requests through so audio players can seek
+ * @param {string} recordingUrl - Retell recording URL
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const streamRecording = async (recordingUrl, req, res) => {
+  const headers = {};
+  if (req.headers.range) {
+    headers.Range = req.headers.range;
+  }
+
+  let upstream;
+  try {
+    upstream = await axios.get(recordingUrl, {
+      headers,
+      responseType: "stream",
+      timeout: 30000,
+      // 416 (range not satisfiable) is relayed as is
+      validateStatus: (status) =>
+        status === 200 || status === 206 || status === 416,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch recording", {
+      status: error.response?.status,
+      error: error.message,
+    });
+    throw new AppError("Recording is unavailable", 502);
+  }
+
+  res.status(upstream.status);
+  for (const header of FORWARDED_HEADERS) {
+    if (upstream.headers[header]) {
+      res.set(header, upstream.headers[header]);
+    }
+  }
+  res.set("Cache-Control", "private, no-store");
+  // Audio elements on the dashboard's origin load this cross-origin
+  res.set("Cross-Origin-Resource-Policy", "cross-origin");
+
+  res.on("close", () => upstream.data.destroy());
+  upstream.data.on("error", (error) => {
+    logger.error("Recording stream failed", { error: error.message });
+    res.destroy(error);
+  });
+  upstream.data.pipe(res);
+};
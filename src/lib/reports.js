@@ -0,0 +1,530 @@
+import { Writable } from "stream";
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+import { sendMail, appUrl } from "./mailer.js";
+import { getUserPermissions } from "./permissions.js";
+import { postToBackgroundFunction } from "./backgroundFunctions.js";
+import { getOverviewMetrics, getSentimentDistribution } from "./callMetrics.js";
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  TRANSCRIPT_COLUMNS,
+  writeCallExport,
+} from "./callExport.js";
+import { getTimezoneOffset, buildTimestampFilter } from "./dateRange.js";
+import {
+  getAssignedAgentLevels,
+  getOrganizationAgentIds,
+  meetsAccessLevel,
+} from "../middleware/agentScope.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const FAILED_CALLS_LIMIT = 10;
+const DUE_BATCH_SIZE = 100;
+// The CSV attachment is built in memory, so larger periods get a note
+// pointing to the dashboard export instead
+const CSV_MAX_ROWS = Number(process.env.REPORT_CSV_MAX_ROWS || 2000);
+
+/**
+ * How often a report can be delivered
+ */
+export const REPORT_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+const FREQUENCY_LABELS = {
+  DAILY: "Daily",
+  WEEKLY: "Weekly",
+  MONTHLY: "Monthly",
+};
+
+// Calendar days are handled as YYYY-MM-DD strings, like dateRange.js
+const localDay = (timestamp, timezone) =>
+  new Date(timestamp + getTimezoneOffset(timestamp, timezone))
+    .toISOString()
+    .split("T")[0];
+
+const addDays = (day, days) =>
+  new Date(Date.parse(day) + days * DAY_MS).toISOString().split("T")[0];
+
+const addMonths = (day, months) => {
+  const [year, month] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1))
+    .toISOString()
+    .split("T")[0];
+};
+
+/**
+ * First day of the period containing a day; weeks start on Monday
+ */
+const periodStartDay = (frequency, day) => {
+  if (frequency === "WEEKLY") {
+    const weekday = new Date(Date.parse(day)).getUTCDay();
+    return addDays(day, -((weekday + 6) % 7));
+  }
+  if (frequency === "MONTHLY") {
+    return `${day.slice(0, 8)}01`;
+  }
+  return day;
+};
+
+const shiftPeriod = (frequency, startDay, periods) => {
+  if (frequency === "WEEKLY") {
+    return addDays(startDay, 7 * periods);
+  }
+  if (frequency === "MONTHLY") {
+    return addMonths(startDay, periods);
+  }
+  return addDays(startDay, periods);
+};
+
+/**
+ * Unix timestamp of a local wall-clock hour on a calendar day
+ */
+const localTimestamp = (day, hour, timezone) => {
+  const asUtc = Date.parse(day) + hour * HOUR_MS;
+  const guess = asUtc - getTimezoneOffset(asUtc, timezone);
+  // Re-check at the guessed instant in case a DST change falls in between
+  return asUtc - getTimezoneOffset(guess, timezone);
+};
+
+/**
+ * When a subscription is next due: send_hour local time on the first day
+ * of the next period
+ * @param {Object} subscription - { frequency, timezone, send_hour }
+ * @param {Date} after - Time the run must be later than
+ * @returns {Date}
+ */
+export const getNextReportRun = (
+  { frequency, timezone, send_hour },
+  after = new Date()
+) => {
+  const startDay = periodStartDay(
+    frequency,
+    localDay(after.getTime(), timezone)
+  );
+  let runAt = localTimestamp(startDay, send_hour, timezone);
+  if (runAt <= after.getTime()) {
+    runAt = localTimestamp(
+      shiftPeriod(frequency, startDay, 1),
+      send_hour,
+      timezone
+    );
+  }
+  return new Date(runAt);
+};
+
+/**
+ * The last complete period before a point in time
+ * @param {string} frequency - One of REPORT_FREQUENCIES
+ * @param {string} timezone - IANA timezone the periods follow
+ * @param {Date} at - Point in time
+ * @returns {{start: number, end: number, timezone: string, firstDay: string,
+ *   lastDay: string}} - Half-open interval in Unix milliseconds, and the
+ *   calendar days it covers
+ */
+export const getReportPeriod = (frequency, timezone, at = new Date()) => {
+  const endDay = periodStartDay(frequency, localDay(at.getTime(), timezone));
+  const startDay = shiftPeriod(frequency, endDay, -1);
+  return {
+    start: localTimestamp(startDay, 0, timezone),
+    end: localTimestamp(endDay, 0, timezone),
+    timezone,
+    firstDay: startDay,
+    lastDay: addDays(endDay, -1),
+  };
+};
+
+/**
+ * Agents a subscriber's report covers: aggregate metrics use every agent
+ * they can see, call lists only those whose calls they may read. Null
+ * means all agents.
+ * @param {Object} user - Subscriber with id, role and organization_id
+ * @param {string[]} agentIds - Agents chosen on the subscription; empty
+ *   for all of them
+ * @returns {Promise<{metrics: string[]|null, calls: string[]|null}>}
+ */
+const resolveReportAgents = async (user, agentIds) => {
+  let metrics = null;
+  let calls = null;
+
+  if (user.role === "USER") {
+    const levels = await getAssignedAgentLevels(user.id);
+    metrics = [...levels.keys()];
+    calls = metrics.filter((agentId) =>
+      meetsAccessLevel(levels.get(agentId), "TRANSCRIPTS")
+    );
+  } else if (user.role === "ADMIN") {
+    metrics = await getOrganizationAgentIds(user.organization_id || null);
+    calls = metrics;
+  }
+
+  if (agentIds.length === 0) {
+    return { metrics, calls };
+  }
+  const chosen = (scope) =>
+    scope ? agentIds.filter((agentId) => scope.includes(agentId)) : agentIds;
+  return { metrics: chosen(metrics), calls: chosen(calls) };
+};
+
+const agentWhere = (agentIds) =>
+  agentIds ? { agent_id: { in: agentIds } } : {};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDay = (day) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: "UTC",
+    dateStyle: "medium",
+  }).format(new Date(Date.parse(day)));
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}`
+    : `${minutes}:${rest}`;
+};
+
+const periodLabel = (period) =>
+  period.firstDay === period.lastDay
+    ? formatDay(period.firstDay)
+    : `${formatDay(period.firstDay)} – ${formatDay(period.lastDay)}`;
+
+/**
+ * Collect the numbers of one report
+ */
+const buildReport = async (subscription, permissions, period) => {
+  const agents = await resolveReportAgents(
+    subscription.user,
+    subscription.agent_ids
+  );
+  const timestampFilter = { start_timestamp: buildTimestampFilter(period) };
+  const metricsWhere = { ...agentWhere(agents.metrics), ...timestampFilter };
+  const callsWhere = { ...agentWhere(agents.calls), ...timestampFilter };
+
+  const [overview, sentiment, failedCalls, agentNames] = await Promise.all([
+    getOverviewMetrics(metricsWhere),
+    getSentimentDistribution(metricsWhere),
+    prisma.call.findMany({
+      where: { ...callsWhere, call_successful: false },
+      orderBy: { start_timestamp: "desc" },
+      take: FAILED_CALLS_LIMIT,
+      select: {
+        call_id: true,
+        start_timestamp: true,
+        duration_seconds: true,
+        call_status: true,
+        disconnection_reason: true,
+        agent: { select: { agent_name: true } },
+      },
+    }),
+    subscription.agent_ids.length > 0
+      ? prisma.agent.findMany({
+          where: { agent_id: { in: agents.metrics } },
+          select: { agent_name: true },
+          orderBy: { agent_name: "asc" },
+        })
+      : Promise.resolve(null),
+  ]);
+
+  let csv = null;
+  let csvOmittedCount = null;
+  const csvCount =
+    subscription.include_csv && permissions.has("calls:export")
+      ? await prisma.call.count({ where: callsWhere })
+      : 0;
+  if (csvCount > CSV_MAX_ROWS) {
+    csvOmittedCount = csvCount;
+  } else if (csvCount > 0) {
+    const columns = DEFAULT_EXPORT_COLUMNS.filter(
+      (column) =>
+        permissions.has("transcripts:read") ||
+        !TRANSCRIPT_COLUMNS.includes(column)
+    );
+    const chunks = [];
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+    await writeCallExport(sink, { format: "csv", columns, where: callsWhere });
+    csv = Buffer.concat(chunks).toString("utf8");
+  }
+
+  return {
+    period,
+    agentNames: agentNames?.map((agent) => agent.agent_name),
+    overview,
+    sentiment,
+    failedCalls,
+    csv,
+    csvOmittedCount,
+  };
+};
+
+const csvOmittedNote = ({ csvOmittedCount }) =>
+  `The ${csvOmittedCount} calls of this period are too many to attach; ` +
+  "export them from the dashboard.";
+
+const formatCallTime = (timestamp, timezone) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(Number(timestamp)));
+
+/**
+ * Label/value rows shared by the text and HTML bodies
+ */
+const summaryRows = ({ overview }) => [
+  ["Calls", String(overview.totalCalls)],
+  ["Successful", `${overview.successfulCalls} (${overview.successRate}%)`],
+  ["Total duration", formatDuration(overview.totalDurationSeconds)],
+  ["Average duration", formatDuration(overview.avgDurationSeconds)],
+  ["Total cost", overview.totalCost.toFixed(2)],
+  ["Average cost", overview.avgCost.toFixed(2)],
+  ...Object.entries(overview.callsByStatus).map(([status, count]) => [
+    `Status: ${status}`,
+    String(count),
+  ]),
+];
+
+const sentimentRows = ({ sentiment }) =>
+  Object.entries(sentiment.sentimentDistribution).map(
+    ([label, { count, percentage }]) => [label, `${count} (${percentage}%)`]
+  );
+
+const failedCallRows = ({ failedCalls, period }) =>
+  failedCalls.map((call) => [
+    formatCallTime(call.start_timestamp, period.timezone),
+    call.agent?.agent_name || "",
+    formatDuration(call.duration_seconds),
+    call.disconnection_reason || call.call_status,
+    call.call_id,
+  ]);
+
+const renderText = (report) => {
+  const lines = [
+    `Call report for ${periodLabel(report.period)} (${report.period.timezone})`,
+    `Agents: ${report.agentNames ? report.agentNames.join(", ") : "All"}`,
+    "",
+    ...summaryRows(report).map(([label, value]) => `${label}: ${value}`),
+    "",
+    `Sentiment (${report.sentiment.totalCallsWithSentiment} calls)`,
+    ...sentimentRows(report).map(([label, value]) => `  ${label}: ${value}`),
+    "",
+    "Recent failed calls",
+    ...(report.failedCalls.length > 0
+      ? failedCallRows(report).map((row) => `  ${row.join(" | ")}`)
+      : ["  None"]),
+    "",
+    ...(report.csvOmittedCount !== null ? [csvOmittedNote(report), ""] : []),
+    `Open the dashboard: ${appUrl("/")}`,
+  ];
+  return lines.join("\n");
+};
+
+const htmlTable = (rows, header) => {
+  const cells = (row, tag) =>
+    row
+      .map(
+        (value) =>
+          `<${tag} style="text-align:left;padding:4px 12px 4px 0">${escapeHtml(
+            value
+          )}</${tag}>`
+      )
+      .join("");
+  return [
+    '<table style="border-collapse:collapse;margin-bottom:16px">',
+    header ? `<tr>${cells(header, "th")}</tr>` : "",
+    ...rows.map((row) => `<tr>${cells(row, "td")}</tr>`),
+    "</table>",
+  ].join("");
+};
+
+const renderHtml = (report) =>
+  [
+    '<div style="font-family:Arial,sans-serif;font-size:14px;color:#222">',
+    `<h2>Call report for ${escapeHtml(periodLabel(report.period))}</h2>`,
+    `<p>Times in ${escapeHtml(report.period.timezone)}. Agents: ${escapeHtml(
+      report.agentNames ? report.agentNames.join(", ") : "All"
+    )}</p>`,
+    htmlTable(summaryRows(report)),
+    `<h3>Sentiment (${report.sentiment.totalCallsWithSentiment} calls)</h3>`,
+    htmlTable(sentimentRows(report)),
+    "<h3>Recent failed calls</h3>",
+    report.failedCalls.length > 0
+      ? htmlTable(failedCallRows(report), [
+          "Time",
+          "Agent",
+          "Duration",
+          "Reason",
+          "Call ID",
+        ])
+      : "<p>None</p>",
+    report.csvOmittedCount !== null
+      ? `<p>${escapeHtml(csvOmittedNote(report))}</p>`
+      : "",
+    `<p><a href="${escapeHtml(appUrl("/"))}">Open the dashboard</a></p>`,
+    "</div>",
+  ].join("");
+
+/**
+ * Build and email the report for the last complete period
+ * @param {Object} subscription - ReportSubscription with its user
+ * @param {Date} at - Reference time; the report covers the period before it
+ * @returns {Promise<Object>} - The period that was reported on
+ */
+export const sendReport = async (subscription, at = new Date()) => {
+  const { user } = subscription;
+  if (user.status !== "APPROVED") {
+    throw new Error("Subscriber is not approved");
+  }
+  const permissions = new Set(
+    await getUserPermissions({ role: user.role, roleId: user.role_id })
+  );
+  if (!permissions.has("calls:read")) {
+    throw new Error("Subscriber is missing the calls:read permission");
+  }
+
+  const period = getReportPeriod(
+    subscription.frequency,
+    subscription.timezone,
+    at
+  );
+  const report = await buildReport(subscription, permissions, period);
+
+  const frequency = FREQUENCY_LABELS[subscription.frequency];
+  await sendMail({
+    to: user.email,
+    subject: `${frequency} call report: ${periodLabel(period)}`,
+    text: renderText(report),
+    html: renderHtml(report),
+    attachments:
+      report.csv !== null
+        ? [
+            {
+              filename: `calls-${period.firstDay}-to-${period.lastDay}.csv`,
+              contentType: "text/csv; charset=utf-8",
+              content: report.csv,
+            },
+          ]
+        : undefined,
+  });
+
+  return {
+    startDate: new Date(period.start).toISOString(),
+    endDate: new Date(period.end).toISOString(),
+  };
+};
+
+/**
+ * Subscriber fields needed to build a report
+ */
+export const reportUserSelect = {
+  id: true,
+  email: true,
+  role: true,
+  role_id: true,
+  status: true,
+  organization_id: true,
+};
+
+/**
+ * Send every report that is due. Each subscription is claimed by moving
+ * its next_run_at first, so concurrent schedulers never send it twice;
+ * runs missed while no scheduler was running are not caught up.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export const runDueReports = async () => {
+  const now = new Date();
+  const due = await prisma.reportSubscription.findMany({
+    where: { enabled: true, next_run_at: { lte: now } },
+    orderBy: { next_run_at: "asc" },
+    take: DUE_BATCH_SIZE,
+    include: { user: { select: reportUserSelect } },
+  });
+
+  const result = { sent: 0, failed: 0 };
+  for (const subscription of due) {
+    const claimed = await prisma.reportSubscription.updateMany({
+      where: { id: subscription.id, next_run_at: subscription.next_run_at },
+      data: { next_run_at: getNextReportRun(subscription, now) },
+    });
+    if (claimed.count === 0) {
+      continue;
+    }
+
+    try {
+      await sendReport(subscription, now);
+      await prisma.reportSubscription.update({
+        where: { id: subscription.id },
+        data: { last_sent_at: new Date(), last_error: null },
+      });
+      result.sent += 1;
+    } catch (error) {
+      logger.error("Failed to send scheduled report", {
+        subscriptionId: subscription.id,
+        error: error.message,
+      });
+      await prisma.reportSubscription.update({
+        where: { id: subscription.id },
+        data: { last_error: error.message },
+      });
+      result.failed += 1;
+    }
+  }
+  return result;
+};
+
+/**
+ * Hand the due reports to the reports-background function. Scheduled
+ * functions are stopped after 30 seconds, which would leave claimed
+ * reports unsent.
+ */
+export const dispatchDueReports = () =>
+  postToBackgroundFunction("reports-background", {});
+
+/**
+ * Start the in-process report scheduler
+ * Checks for due reports every REPORT_CHECK_INTERVAL_MINUTES (default 5,
+ * 0 disables)
+ * @returns {NodeJS.Timeout|null} - Interval handle, or null when disabled
+ */
+export const startReportScheduler = () => {
+  const minutes = Number(process.env.REPORT_CHECK_INTERVAL_MINUTES ?? 5);
+
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    logger.info("Scheduled reports disabled");
+    return null;
+  }
+
+  let inProgress = false;
+  const tick = async () => {
+    if (inProgress) {
+      return;
+    }
+    inProgress = true;
+    try {
+      const { sent, failed } = await runDueReports();
+      if (sent > 0 || failed > 0) {
+        logger.info("Scheduled reports sent", { sent, failed });
+      }
+    } catch (error) {
+      logger.error("Scheduled reports failed", { error: error.message });
+    } finally {
+      inProgress = false;
+    }
+  };
+
+  logger.info("Scheduled reports enabled", { intervalMinutes: minutes });
+  const handle = setInterval(tick, minutes * 60 * 1000);
+  handle.unref();
+  return handle;
+};
@@ -201,6 +201,19 @@ class RetellAPI {
     }
   }
 
+  /**
+   * Verify the x-retell-signature header of an incoming webhook
+   * @param {string} rawBody - Raw request body exactly as received
+   * @param {string} signature - Value of the x-retell-signature header
+   * @returns {boolean} - Whether the signature matches the API key
+   */
+  verifyWebhookSignature(rawBody, signature) {
+    if (!rawBody || !signature) {
+      return false;
+    }
+    return Retell.verify(rawBody, this.apiKey, signature);
+  }
+
   /**
    * Get agent details by agent ID
    * @param {string} agentId - Agent ID
@@ -0,0 +1,264 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { prisma } from "./database.js";
+import { logger } from "./logger.js";
+import { isTotpRequired } from "./totp.js";
+import { UnauthorizedError } from "../middleware/errorHandler.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const MFA_TOKEN_TTL = "5m";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const revokeSessionById = (sessionId) =>
+  prisma.session.updateMany({
+    where: { id: sessionId, revoked_at: null },
+    data: { revoked_at: new Date() },
+  });
+
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return secret;
+};
+
+function signAccessToken(user, sessionId) {
+  const secret = getJwtSecret();
+  return jwt.sign(
+    {
+      sub: user.id,
+      role: user.role,
+      org: user.organization_id,
+      sid: sessionId,
+    },
+    secret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+const issueTokens = (user, session, refreshToken) => {
+  const accessToken = signAccessToken(user, session.id);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    refreshTokenExpiresAt: session.expires_at,
+  };
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - User record (id, role, organization_id)
+ * @param {Object} meta - Request metadata
+ * @param {string} meta.ip - Client IP address
+ * @param {string} meta.userAgent - Client User-Agent header
+ * @returns {Promise<Object>} - Access token, refresh token and expiries
+ */
+export const createSession = async (user, { ip, userAgent } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      user_id: user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: refreshTokenExpiry(),
+      ip: ip || null,
+      user_agent: userAgent || null,
+    },
+  });
+
+  return issueTokens(user, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @param {string} refreshToken - Refresh token issued by this server
+ * @returns {Promise<Object>} - Access token, refresh token and expiries
+ */
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const reused = await prisma.session.findUnique({
+    where: { previous_token_hash: tokenHash },
+  });
+  if (reused) {
+    logger.warn("Refresh token reuse detected, revoking session", {
+      sessionId: reused.id,
+      userId: reused.user_id,
+    });
+    await revokeSessionById(reused.id);
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { refresh_token_hash: tokenHash },
+    include: {
+      user: {
+        select: {
+          id: true,
+          role: true,
+          status: true,
+          organization_id: true,
+          totp_enabled_at: true,
+        },
+      },
+    },
+  });
+
+  if (!session || session.revoked_at || session.expires_at <= new Date()) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  // Sessions started before 2FA became mandatory must sign in again
+  if (
+    session.user.status !== "APPROVED" ||
+    (isTotpRequired(session.user) && !session.user.totp_enabled_at)
+  ) {
+    await revokeSessionById(session.id);
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  // Conditional on the token being unchanged, so of two concurrent
+  // refreshes with the same token only one rotates it; the other is reuse
+  const nextRefreshToken = generateRefreshToken();
+  const expiresAt = refreshTokenExpiry();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refresh_token_hash: tokenHash, revoked_at: null },
+    data: {
+      refresh_token_hash: hashToken(nextRefreshToken),
+      previous_token_hash: tokenHash,
+      expires_at: expiresAt,
+      last_used_at: new Date(),
+    },
+  });
+  if (count === 0) {
+    logger.warn("Concurrent refresh token reuse detected, revoking session", {
+      sessionId: session.id,
+      userId: session.user_id,
+    });
+    await revokeSessionById(session.id);
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  return issueTokens(
+    session.user,
+    { ...session, expires_at: expiresAt },
+    nextRefreshToken
+  );
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token issued by this server
+ * @returns {Promise<Object|null>} - The session, or null if unknown
+ */
+export const revokeSession = async (refreshToken) => {
+  const session = await prisma.session.findUnique({
+    where: { refresh_token_hash: hashToken(refreshToken) },
+    select: { id: true, user_id: true },
+  });
+  if (session) {
+    await revokeSessionById(session.id);
+  }
+  return session;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { user_id: userId, revoked_at: null },
+    data: { revoked_at: new Date() },
+  });
+  if (count > 0) {
+    logger.info("Revoked user sessions", { userId, count });
+  }
+  return count;
+};
+
+/**
+ * Verify an access token and the session it was issued for
+ * @param {string} token - Access token (JWT)
+ * @returns {Promise<Object>} - Decoded JWT claims, plus the user's current
+ *   custom role as roleId
+ */
+export const verifyAccessToken = async (token) => {
+  const secret = getJwtSecret();
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret);
+  } catch (error) {
+    throw new UnauthorizedError("Invalid token");
+  }
+
+  if (!decoded.sid) {
+    throw new UnauthorizedError("Invalid token");
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    select: {
+      user_id: true,
+      revoked_at: true,
+      expires_at: true,
+      user: { select: { role_id: true } },
+    },
+  });
+
+  if (
+    !session ||
+    session.user_id !== decoded.sub ||
+    session.revoked_at ||
+    session.expires_at <= new Date()
+  ) {
+    throw new UnauthorizedError("Session has been revoked");
+  }
+
+  return { ...decoded, roleId: session.user.role_id };
+};
+
+/**
+ * Sign a short-lived token for the second login step. It carries no session
+ * and is rejected everywhere an access token is expected.
+ * @param {Object} user - User record
+ * @param {string} purpose - "verify" (enter a code) or "enroll" (set up 2FA
+ *   before the first login, when policy requires it)
+ * @returns {string}
+ */
+export const signMfaToken = (user, purpose) =>
+  jwt.sign({ sub: user.id, typ: "mfa", purpose }, getJwtSecret(), {
+    expiresIn: MFA_TOKEN_TTL,
+  });
+
+/**
+ * Verify a token issued by signMfaToken
+ * @param {string} token - MFA token
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {string} - User ID
+ */
+export const verifyMfaToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    throw new UnauthorizedError("Invalid or expired MFA token");
+  }
+  if (decoded.typ !== "mfa" || decoded.purpose !== purpose) {
+    throw new UnauthorizedError("Invalid or expired MFA token");
+  }
+  return decoded.sub;
+};
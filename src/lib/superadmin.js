@@ -34,6 +34,7 @@ export const ensureSuperAdmin = async () => {
       name,
       role: "SUPERADMIN",
       status: "APPROVED",
+      email_verified_at: new Date(),
     },
   });
   logger.info("Created superadmin user", { email });
@@ -0,0 +1,455 @@
+import { prisma } from "./database.js";
+import { retellAPI } from "./retell.js";
+import { logger } from "./logger.js";
+import { mapRetellCall } from "./callMapper.js";
+import { postToBackgroundFunction } from "./backgroundFunctions.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+const MAX_ERROR_MESSAGES = 50;
+// A RUNNING row older than this is assumed to belong to a crashed process
+const STALE_RUN_MS = 30 * 60 * 1000;
+// Calls that started this long before the newest stored one are fetched
+// again, so calls still ongoing or awaiting analysis at the last sync are
+// brought up to date
+const RESYNC_WINDOW_MS =
+  Number(process.env.SYNC_RESYNC_WINDOW_HOURS ?? 6) * 60 * 60 * 1000;
+// Netlify background function that runs syncs outside the API function,
+// which is frozen once its response is sent
+const BACKGROUND_FUNCTION = "sync-background";
+
+export const normalizeRetellAgents = (agents) => {
+  const agentMap = new Map();
+  for (const agent of agents || []) {
+    if (!agent?.agent_id) {
+      continue;
+    }
+    const existing = agentMap.get(agent.agent_id);
+    const candidateTimestamp = agent.last_modification_timestamp || 0;
+    const existingTimestamp = existing?.last_modification_timestamp || 0;
+    const shouldReplace =
+      candidateTimestamp > existingTimestamp ||
+      (candidateTimestamp === existingTimestamp &&
+        agent.is_published &&
+        !existing?.is_published);
+    if (!existing || shouldReplace) {
+      agentMap.set(agent.agent_id, agent);
+    }
+  }
+  return Array.from(agentMap.values());
+};
+
+const isNewRecord = (record) =>
+  record.created_at.getTime() === record.updated_at.getTime();
+
+/**
+ * Tracks counts and error messages for a single sync run
+ */
+const createRunStats = () => {
+  const stats = {
+    synced: 0,
+    updated: 0,
+    errors: 0,
+    messages: [],
+    recordError(message) {
+      stats.errors++;
+      if (stats.messages.length < MAX_ERROR_MESSAGES) {
+        stats.messages.push(message);
+      }
+    },
+  };
+  return stats;
+};
+
+// Close out runs abandoned by a process that died mid-sync
+const closeStaleRuns = (client, type) =>
+  client.syncRun.updateMany({
+    where: {
+      type,
+      status: "RUNNING",
+      started_at: { lt: new Date(Date.now() - STALE_RUN_MS) },
+    },
+    data: {
+      status: "FAILED",
+      finished_at: new Date(),
+      error_messages: ["Run abandoned before completion"],
+    },
+  });
+
+const finishRun = async (runId, stats, failure) => {
+  const messages = failure
+    ? [...stats.messages, failure.message].slice(0, MAX_ERROR_MESSAGES)
+    : stats.messages;
+
+  return prisma.syncRun.update({
+    where: { id: runId },
+    data: {
+      status: failure ? "FAILED" : "SUCCEEDED",
+      synced_count: stats.synced,
+      updated_count: stats.updated,
+      error_count: stats.errors + (failure ? 1 : 0),
+      error_messages: messages,
+      finished_at: new Date(),
+    },
+  });
+};
+
+const fetchAgentNames = async () => {
+  const agentMap = new Map();
+
+  try {
+    const agents = normalizeRetellAgents(await retellAPI.getAgents());
+
+    if (agents && agents.length > 0) {
+      agents.forEach((agent) => {
+        agentMap.set(
+          agent.agent_id,
+          agent.agent_name || `Agent ${agent.agent_id}`
+        );
+      });
+      logger.info("Fetched agents", { agentCount: agents.length });
+    } else {
+      logger.warn("No agents found in Retell API");
+    }
+  } catch (agentError) {
+    logger.warn(
+      "Failed to fetch agents from Retell API, will use default names",
+      {
+        error: agentError.message,
+      }
+    );
+  }
+
+  return agentMap;
+};
+
+const executeCallSync = async (run, stats) => {
+  const agentNames = await fetchAgentNames();
+
+  // Fetch calls from Retell API (incremental from the cursor when possible)
+  const calls = await retellAPI.getAllCalls(100, {
+    ...(run.cursor && { startTimestamp: Number(run.cursor) }),
+  });
+
+  if (!calls || calls.length === 0) {
+    return;
+  }
+
+  // Filter by agentId if provided
+  const filteredCalls = run.agent_id
+    ? calls.filter((call) => call.agent_id === run.agent_id)
+    : calls;
+
+  // First, ensure all agents exist before processing calls
+  const uniqueAgentIds = [
+    ...new Set(filteredCalls.map((call) => call.agent_id)),
+  ];
+  logger.info("Creating/updating agents", {
+    agentCount: uniqueAgentIds.length,
+  });
+
+  for (const agentId of uniqueAgentIds) {
+    try {
+      const agentName = agentNames.get(agentId) || `Agent ${agentId}`;
+
+      await prisma.agent.upsert({
+        where: { agent_id: agentId },
+        update: {
+          agent_name: agentName,
+          updated_at: new Date(),
+        },
+        create: {
+          agent_id: agentId,
+          agent_name: agentName,
+          status: "ACTIVE",
+        },
+      });
+    } catch (agentError) {
+      logger.error("Error creating/updating agent", {
+        agentId,
+        error: agentError.message,
+      });
+    }
+  }
+
+  // Now process each call
+  for (const call of filteredCalls) {
+    try {
+      const callData = mapRetellCall(call);
+
+      const result = await prisma.call.upsert({
+        where: { call_id: call.call_id },
+        update: callData,
+        create: callData,
+      });
+
+      if (isNewRecord(result)) {
+        stats.synced++;
+      } else {
+        stats.updated++;
+      }
+    } catch (callError) {
+      logger.error("Error processing call", {
+        callId: call.call_id,
+        error: callError.message,
+      });
+      stats.recordError(`Call ${call.call_id}: ${callError.message}`);
+    }
+  }
+};
+
+const executeAgentSync = async (run, stats) => {
+  const agents = normalizeRetellAgents(await retellAPI.getAgents());
+
+  for (const agent of agents) {
+    try {
+      const agentName = agent.agent_name || `Agent ${agent.agent_id}`;
+      const result = await prisma.agent.upsert({
+        where: { agent_id: agent.agent_id },
+        update: {
+          agent_name: agentName,
+          status: agent.is_published ? "ACTIVE" : "INACTIVE",
+          updated_at: new Date(),
+        },
+        create: {
+          agent_id: agent.agent_id,
+          agent_name: agentName,
+          status: agent.is_published ? "ACTIVE" : "INACTIVE",
+        },
+      });
+
+      if (isNewRecord(result)) {
+        stats.synced++;
+      } else {
+        stats.updated++;
+      }
+    } catch (agentError) {
+      logger.error("Error syncing agent", {
+        agentId: agent.agent_id,
+        error: agentError.message,
+      });
+      stats.recordError(`Agent ${agent.agent_id}: ${agentError.message}`);
+    }
+  }
+};
+
+const executeRun = async (run) => {
+  const stats = createRunStats();
+  const execute = run.type === "CALLS" ? executeCallSync : executeAgentSync;
+
+  try {
+    await execute(run, stats);
+  } catch (error) {
+    logger.error("Sync run failed", {
+      runId: run.id,
+      type: run.type,
+      error: error.message,
+    });
+    return finishRun(run.id, stats, error);
+  }
+
+  logger.info("Sync run completed", {
+    runId: run.id,
+    type: run.type,
+    synced: stats.synced,
+    updated: stats.updated,
+    errors: stats.errors,
+  });
+  return finishRun(run.id, stats);
+};
+
+const getCallCursor = async () => {
+  const lastCall = await prisma.call.findFirst({
+    orderBy: { start_timestamp: "desc" },
+    select: { start_timestamp: true },
+  });
+  return lastCall
+    ? String(Math.max(0, Number(lastCall.start_timestamp) - RESYNC_WINDOW_MS))
+    : null;
+};
+
+/**
+ * Record a new sync run without starting it, unless a run of the same type
+ * is in progress. The check and the insert hold a transaction-level
+ * advisory lock per type, so concurrent triggers cannot both claim a run.
+ * @param {Object} options - Run options
+ * @param {string} options.type - SyncType (CALLS or AGENTS)
+ * @param {string} options.trigger - SyncTrigger (SCHEDULED or MANUAL)
+ * @param {string} options.agentId - Only sync calls for this agent
+ * @returns {Promise<Object|null>} - The created SyncRun, or null when a run
+ *   of the type is already in progress
+ */
+export const claimSyncRun = async ({ type, trigger, agentId }) => {
+  const cursor = type === "CALLS" ? await getCallCursor() : null;
+
+  const lockKey = `sync_runs:${type}`;
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+    await closeStaleRuns(tx, type);
+
+    const active = await tx.syncRun.findFirst({
+      where: { type, status: "RUNNING" },
+      select: { id: true },
+    });
+    if (active) {
+      return null;
+    }
+
+    return tx.syncRun.create({
+      data: {
+        type,
+        trigger,
+        cursor,
+        agent_id: agentId || null,
+      },
+    });
+  });
+};
+
+/**
+ * Execute a recorded run and store its result
+ * @param {Object} run - SyncRun created by claimSyncRun
+ * @returns {Promise<Object>} - The finished SyncRun
+ */
+export const executeSyncRun = (run) => {
+  logger.info("Starting sync run", {
+    runId: run.id,
+    type: run.type,
+    trigger: run.trigger,
+    cursor: run.cursor,
+  });
+  return executeRun(run);
+};
+
+/**
+ * Claim a new sync run and start it in this process
+ * @param {Object} options - Run options, as for claimSyncRun
+ * @returns {Promise<{run: Object|null, completion: Promise<Object>}>} - The
+ *   created run (null when one is already in progress) and a promise that
+ *   resolves with it once finished
+ */
+export const startSyncRun = async (options) => {
+  const run = await claimSyncRun(options);
+  if (!run) {
+    return { run, completion: Promise.resolve(null) };
+  }
+
+  const completion = executeSyncRun(run).catch((error) => {
+    logger.error("Failed to record sync run result", {
+      runId: run.id,
+      error: error.message,
+    });
+  });
+
+  return { run, completion };
+};
+
+/**
+ * Run a recorded sync without holding up the request that started it. On
+ * Netlify the run is handed to the sync-background function, since work
+ * left over after a function's response is never finished; elsewhere it
+ * runs in this process.
+ * @param {Object} run - SyncRun created by claimSyncRun
+ */
+export const dispatchSyncRun = async (run) => {
+  if (!process.env.NETLIFY) {
+    executeSyncRun(run).catch((error) => {
+      logger.error("Failed to record sync run result", {
+        runId: run.id,
+        error: error.message,
+      });
+    });
+    return;
+  }
+
+  try {
+    await postToBackgroundFunction(BACKGROUND_FUNCTION, { runId: run.id });
+  } catch (error) {
+    logger.error("Failed to dispatch sync run", {
+      runId: run.id,
+      error: error.message,
+    });
+    await finishRun(run.id, createRunStats(), error);
+    throw new AppError("Failed to start the sync", 502);
+  }
+};
+
+/**
+ * Hand a scheduled pass of every sync type to the sync-background
+ * function, which may run longer than a scheduled function
+ */
+export const dispatchScheduledSync = () =>
+  postToBackgroundFunction(BACKGROUND_FUNCTION, { scheduled: true });
+
+/**
+ * Execute a run handed over by dispatchSyncRun, unless it already finished
+ * @param {string} runId - SyncRun ID
+ * @returns {Promise<Object|null>} - The finished SyncRun, or null
+ */
+export const executeDispatchedRun = async (runId) => {
+  const run = await prisma.syncRun.findUnique({ where: { id: runId } });
+  if (!run || run.status !== "RUNNING") {
+    logger.warn("Ignoring dispatch of a sync run that is not running", {
+      runId,
+    });
+    return null;
+  }
+  return executeSyncRun(run);
+};
+
+/**
+ * Run one scheduled pass of every sync type, skipping types already running
+ * @returns {Promise<Array>} - Finished SyncRun records
+ */
+export const runScheduledSync = async () => {
+  const finished = [];
+
+  // Agents first so calls get proper agent names
+  for (const type of ["AGENTS", "CALLS"]) {
+    const { run, completion } = await startSyncRun({
+      type,
+      trigger: "SCHEDULED",
+    });
+    if (!run) {
+      logger.info("Skipping scheduled sync, run already active", { type });
+      continue;
+    }
+    finished.push(await completion);
+  }
+
+  return finished;
+};
+
+/**
+ * Start the in-process interval scheduler
+ * Interval comes from SYNC_INTERVAL_MINUTES (default 15, 0 disables)
+ * @returns {NodeJS.Timeout|null} - Interval handle, or null when disabled
+ */
+export const startSyncScheduler = () => {
+  const minutes = Number(process.env.SYNC_INTERVAL_MINUTES ?? 15);
+
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    logger.info("Scheduled sync disabled");
+    return null;
+  }
+
+  let inProgress = false;
+  const tick = async () => {
+    if (inProgress) {
+      return;
+    }
+    inProgress = true;
+    try {
+      await runScheduledSync();
+    } catch (error) {
+      logger.error("Scheduled sync failed", { error: error.message });
+    } finally {
+      inProgress = false;
+    }
+  };
+
+  logger.info("Scheduled sync enabled", { intervalMinutes: minutes });
+  const handle = setInterval(tick, minutes * 60 * 1000);
+  handle.unref();
+  return handle;
+};
@@ -0,0 +1,172 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one period either side to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const ADMIN_ROLES = ["ADMIN", "SUPERADMIN"];
+
+/**
+ * Whether policy requires two-factor authentication for a user
+ * @param {Object} user - User record with role
+ * @returns {boolean}
+ */
+export const isTotpRequired = (user) =>
+  process.env.REQUIRE_ADMIN_2FA === "true" && ADMIN_ROLES.includes(user.role);
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} - Base32-encoded 160-bit secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+export const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || "AI Vox Dashboard";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Built by hand: URLSearchParams encodes spaces as "+", which some
+  // authenticator apps show literally
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    "algorithm=SHA1",
+    `digits=${TOTP_DIGITS}`,
+    `period=${TOTP_PERIOD_SECONDS}`,
+  ].join("&");
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const generateCode = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Check a TOTP code (RFC 6238, SHA-1, 6 digits, 30 s)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Time step of the last accepted code;
+ *   it and earlier steps are rejected so a code cannot be replayed
+ * @returns {number|null} - Time step the code matched, or null
+ */
+export const verifyTotpCode = (secret, code, lastUsedStep = null) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+    const step = currentStep + delta;
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const encryptionKey = () => {
+  const secret = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("TOTP_ENCRYPTION_KEY or JWT_SECRET must be configured");
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} - iv.tag.ciphertext, base64url-encoded
+ */
+export const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Output of encryptTotpSecret
+ * @returns {string} - Base32 secret
+ */
+export const decryptTotpSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * Generate single-use recovery codes
+ * @returns {{codes: string[], hashes: string[]}} - Plaintext codes to show
+ *   once, and the hashes to store
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { prisma } from "./database.js";
+import { ValidationError } from "../middleware/errorHandler.js";
+
+const TOKEN_TTL_MINUTES = {
+  PASSWORD_RESET: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60),
+  EMAIL_VERIFICATION: Number(
+    process.env.EMAIL_VERIFICATION_TTL_MINUTES || 24 * 60
+  ),
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue a single-use token for a user, invalidating earlier unused tokens
+ * of the same type
+ * @param {string} userId - User ID
+ * @param {string} type - UserTokenType (PASSWORD_RESET, EMAIL_VERIFICATION)
+ * @returns {Promise<string>} - Plaintext token; only its hash is stored
+ */
+export const issueUserToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { user_id: userId, type, used_at: null },
+      data: { used_at: now },
+    }),
+    prisma.userToken.create({
+      data: {
+        user_id: userId,
+        type,
+        token_hash: hashToken(token),
+        expires_at: new Date(now.getTime() + TOKEN_TTL_MINUTES[type] * 60 * 1000),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Mark a token as used and return the user it was issued to
+ * @param {string} token - Plaintext token
+ * @param {string} type - UserTokenType the token must have
+ * @returns {Promise<string>} - User ID
+ */
+export const consumeUserToken = async (token, type) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Conditional update so two concurrent requests cannot both use the token
+  const { count } = await prisma.userToken.updateMany({
+    where: { token_hash: tokenHash, type, used_at: null, expires_at: { gt: now } },
+    data: { used_at: now },
+  });
+  if (count === 0) {
+    throw new ValidationError("Invalid or expired token");
+  }
+
+  const { user_id: userId } = await prisma.userToken.findUnique({
+    where: { token_hash: tokenHash },
+    select: { user_id: true },
+  });
+  return userId;
+};
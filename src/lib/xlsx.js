@@ -0,0 +1,309 @@
+import zlib from "zlib";
+import { once } from "events";
+
+/**
+ * Wait until a writable stream can take more data, or has closed
+ * @param {Object} stream - Writable stream
+ * @returns {Promise<void>}
+ */
+export const waitForDrain = (stream) =>
+  new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
+
+// Minimal streaming XLSX writer: one worksheet of inline strings, numbers
+// and booleans, written as a ZIP archive whose sheet entry is deflated as
+// rows arrive, so exports never hold the whole file in memory.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// ZIP general purpose flags: sizes follow the data (bit 3), UTF-8 names
+// (bit 11)
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_DEFLATE = 8;
+// Sizes and offsets are 32-bit without ZIP64 records, which this writer
+// does not produce
+const ZIP32_LIMIT = 0xffffffff;
+const ZIP32_MARGIN = 16 * 1024 * 1024;
+
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const STATIC_ENTRIES = {
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+};
+
+const workbookXml = (sheetName) =>
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+  `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+  "</workbook>";
+
+const SHEET_START =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  "<sheetData>";
+const SHEET_END = "</sheetData></worksheet>";
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+const escapeXml = (value) =>
+  value
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXml = (value, ref) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    text
+  )}</t></is></c>`;
+};
+
+/**
+ * Streaming writer for a single-sheet XLSX workbook
+ */
+export class XlsxWriter {
+  /**
+   * @param {Object} output - Writable stream (e.g. an Express response)
+   * @param {Object} options
+   * @param {string} options.sheetName - Worksheet name
+   */
+  constructor(output, { sheetName = "Sheet1" } = {}) {
+    this.output = output;
+    this.sheetName = sheetName;
+    this.offset = 0;
+    this.entries = [];
+    this.rowCount = 0;
+    this.sheet = null;
+  }
+
+  async writeRaw(buffer) {
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      await waitForDrain(this.output);
+    }
+  }
+
+  localHeader(name, flags, crc, compressedSize, size, modified) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressedSize, 18);
+    header.writeUInt32LE(size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, nameBuffer]);
+  }
+
+  async addEntry(name, content) {
+    const data = Buffer.from(content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name,
+      flags: FLAG_UTF8,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      modified: dosDateTime(new Date()),
+      offset: this.offset,
+    };
+    this.entries.push(entry);
+    await this.writeRaw(
+      this.localHeader(
+        name,
+        entry.flags,
+        entry.crc,
+        entry.compressedSize,
+        entry.size,
+        entry.modified
+      )
+    );
+    await this.writeRaw(compressed);
+  }
+
+  /**
+   * Write the workbook parts and open the worksheet
+   */
+  async start() {
+    for (const [name, content] of Object.entries(STATIC_ENTRIES)) {
+      await this.addEntry(name, content);
+    }
+    await this.addEntry("xl/workbook.xml", workbookXml(this.sheetName));
+
+    const entry = {
+      name: "xl/worksheets/sheet1.xml",
+      flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR,
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      modified: dosDateTime(new Date()),
+      offset: this.offset,
+    };
+    this.entries.push(entry);
+    await this.writeRaw(
+      this.localHeader(entry.name, entry.flags, 0, 0, 0, entry.modified)
+    );
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on("data", (chunk) => {
+      entry.compressedSize += chunk.length;
+      this.offset += chunk.length;
+      if (!this.output.write(chunk)) {
+        deflate.pause();
+        waitForDrain(this.output).then(() => deflate.resume());
+      }
+    });
+    this.sheet = { entry, deflate };
+    await this.writeSheet(SHEET_START);
+  }
+
+  async writeSheet(xml) {
+    const { entry, deflate } = this.sheet;
+    const data = Buffer.from(xml, "utf8");
+    // XML deflates well, so with the margin for the other entries this also
+    // keeps the compressed size and the offsets in range
+    if (entry.size + data.length > ZIP32_LIMIT - ZIP32_MARGIN) {
+      throw new Error(
+        "XLSX export exceeds the 4 GiB ZIP limit; export as CSV or NDJSON"
+      );
+    }
+    entry.crc = crc32(data, entry.crc);
+    entry.size += data.length;
+    if (!deflate.write(data)) {
+      await once(deflate, "drain");
+    }
+  }
+
+  /**
+   * Append a row
+   * @param {Array} values - Cell values: strings, numbers, booleans, null,
+   *   or objects (written as JSON)
+   */
+  async writeRow(values) {
+    this.rowCount += 1;
+    const cells = values
+      .map((value, index) =>
+        cellXml(value, `${columnName(index)}${this.rowCount}`)
+      )
+      .join("");
+    await this.writeSheet(`<row r="${this.rowCount}">${cells}</row>`);
+  }
+
+  /**
+   * Close the worksheet and write the ZIP central directory
+   */
+  async end() {
+    const { entry, deflate } = this.sheet;
+    await this.writeSheet(SHEET_END);
+    deflate.end();
+    await once(deflate, "end");
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.writeRaw(descriptor);
+
+    const directoryOffset = this.offset;
+    for (const item of this.entries) {
+      const nameBuffer = Buffer.from(item.name, "utf8");
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(item.flags, 8);
+      header.writeUInt16LE(METHOD_DEFLATE, 10);
+      header.writeUInt16LE(item.modified.time, 12);
+      header.writeUInt16LE(item.modified.date, 14);
+      header.writeUInt32LE(item.crc, 16);
+      header.writeUInt32LE(item.compressedSize, 20);
+      header.writeUInt32LE(item.size, 24);
+      header.writeUInt16LE(nameBuffer.length, 28);
+      header.writeUInt32LE(item.offset, 42);
+      await this.writeRaw(Buffer.concat([header, nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.writeRaw(end);
+  }
+}
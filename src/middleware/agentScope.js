@@ -0,0 +1,210 @@
+import { prisma } from "../lib/database.js";
+import { ForbiddenError } from "./errorHandler.js";
+
+/**
+ * Access levels of an agent assignment, from least to most access:
+ * - METRICS: aggregate analytics and stats only
+ * - TRANSCRIPTS: also the agent's calls, with transcripts and summaries
+ * - RECORDINGS: also recording URLs
+ * - MANAGE: also editing the agent (with the agents:edit permission)
+ */
+export const ACCESS_LEVELS = ["METRICS", "TRANSCRIPTS", "RECORDINGS", "MANAGE"];
+
+/**
+ * Whether an access level includes another
+ * @param {string|null} level - Level held
+ * @param {string} required - Level needed
+ * @returns {boolean}
+ */
+export const meetsAccessLevel = (level, required) =>
+  level !== null &&
+  ACCESS_LEVELS.indexOf(level) >= ACCESS_LEVELS.indexOf(required);
+
+/**
+ * Where clause for assignments that have not expired
+ * @returns {Object}
+ */
+export const activeAssignmentWhere = () => ({
+  OR: [{ expires_at: null }, { expires_at: { gt: new Date() } }],
+});
+
+/**
+ * Get the access level of each agent assigned to a user, ignoring expired
+ * assignments
+ * @param {string} userId - User ID
+ * @returns {Promise<Map<string, string>>} - Agent ID to access level
+ */
+export const getAssignedAgentLevels = async (userId) => {
+  const assignments = await prisma.userAgent.findMany({
+    where: { user_id: userId, ...activeAssignmentWhere() },
+    select: { agent_id: true, access_level: true },
+  });
+  return new Map(
+    assignments.map((assignment) => [
+      assignment.agent_id,
+      assignment.access_level,
+    ])
+  );
+};
+
+/**
+ * Get the agent IDs owned by an organization
+ * @param {string|null} organizationId - Organization ID, null for agents
+ *   not yet assigned to an organization
+ * @returns {Promise<string[]>}
+ */
+export const getOrganizationAgentIds = async (organizationId) => {
+  const agents = await prisma.agent.findMany({
+    where: { organization_id: organizationId },
+    select: { agent_id: true },
+  });
+  return agents.map((agent) => agent.agent_id);
+};
+
+/**
+ * Organization condition for user and agent queries made by the caller
+ * @param {Object} req - Express request with req.user
+ * @returns {string|null|undefined} - Caller's organization ID (null when
+ *   they belong to none), or undefined when the caller spans all orgs
+ */
+export const scopedOrganizationFilter = (req) => {
+  if (!req.user || req.user.role === "SUPERADMIN") {
+    return undefined;
+  }
+  return req.user.organizationId || null;
+};
+
+/**
+ * Whether a user or agent record belongs to the caller's organization
+ * @param {Object} req - Express request with req.user
+ * @param {Object} record - Record with an organization_id column
+ * @returns {boolean}
+ */
+export const isInCallerOrganization = (req, record) => {
+  const organizationId = scopedOrganizationFilter(req);
+  return (
+    organizationId === undefined ||
+    (record.organization_id || null) === organizationId
+  );
+};
+
+/**
+ * Agent scoping middleware
+ * Resolves which agents the caller may read and stores it on req.agentScope.
+ * USER-role callers are limited to their assigned agents, at the access
+ * level of each assignment (levels), ADMIN-role callers to the agents of
+ * their organization; superadmins and API-key callers see every agent
+ * (agentIds is null).
+ */
+export const agentScopeMiddleware = async (req, res, next) => {
+  try {
+    if (req.user?.role === "USER") {
+      const levels = await getAssignedAgentLevels(req.user.id);
+      req.agentScope = {
+        restricted: true,
+        agentIds: [...levels.keys()],
+        levels,
+      };
+    } else if (req.user?.role === "ADMIN") {
+      req.agentScope = {
+        restricted: true,
+        agentIds: await getOrganizationAgentIds(
+          scopedOrganizationFilter(req)
+        ),
+      };
+    } else {
+      req.agentScope = { restricted: false, agentIds: null };
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The caller's access level for an agent: the assignment's level for
+ * USER-role callers, MANAGE for any other agent they can see
+ * @param {Object} req - Express request with req.agentScope
+ * @param {string} agentId - Retell agent ID
+ * @returns {string|null} - Access level, or null without access
+ */
+export const agentAccessLevel = (req, agentId) => {
+  if (req.agentScope?.levels) {
+    return req.agentScope.levels.get(agentId) ?? null;
+  }
+  if (
+    req.agentScope?.restricted &&
+    !req.agentScope.agentIds.includes(agentId)
+  ) {
+    return null;
+  }
+  return "MANAGE";
+};
+
+/**
+ * Whether the caller may read data for an agent
+ * @param {Object} req - Express request with req.agentScope
+ * @param {string} agentId - Retell agent ID
+ * @param {string} level - Access level needed (default METRICS)
+ * @returns {boolean}
+ */
+export const canAccessAgent = (req, agentId, level = "METRICS") =>
+  meetsAccessLevel(agentAccessLevel(req, agentId), level);
+
+/**
+ * Throw ForbiddenError unless the caller may read data for an agent
+ * @param {Object} req - Express request with req.agentScope
+ * @param {string} agentId - Retell agent ID
+ * @param {string} level - Access level needed (default METRICS)
+ */
+export const assertAgentAccess = (req, agentId, level = "METRICS") => {
+  if (!canAccessAgent(req, agentId, level)) {
+    throw new ForbiddenError("Access to agent not permitted");
+  }
+};
+
+/**
+ * Agent IDs the caller may access at a level, or null for every agent
+ * @param {Object} req - Express request with req.agentScope
+ * @param {string} level - Access level needed (default METRICS)
+ * @returns {string[]|null}
+ */
+export const accessibleAgentIds = (req, level = "METRICS") => {
+  if (!req.agentScope?.restricted) {
+    return null;
+  }
+  return req.agentScope.agentIds.filter((agentId) =>
+    canAccessAgent(req, agentId, level)
+  );
+};
+
+/**
+ * Build the agent_id condition for a Prisma where clause
+ * @param {Object} req - Express request with req.agentScope
+ * @param {string} agentId - Optional agent requested by the caller
+ * @param {string} level - Access level needed (default METRICS)
+ * @returns {string|Object|undefined} - Condition, or undefined for no filter
+ */
+export const scopedAgentFilter = (req, agentId, level = "METRICS") => {
+  if (agentId) {
+    assertAgentAccess(req, agentId, level);
+    return agentId;
+  }
+  const agentIds = accessibleAgentIds(req, level);
+  return agentIds ? { in: agentIds } : undefined;
+};
+
+/**
+ * Agent IDs the caller may read, narrowed to one agent if requested
+ * @param {Object} req - Express request with req.agentScope
+ * @param {string} agentId - Optional agent requested by the caller
+ * @param {string} level - Access level needed (default METRICS)
+ * @returns {string[]|null} - Agent IDs, or null for every agent
+ */
+export const scopedAgentIds = (req, agentId, level = "METRICS") => {
+  if (agentId) {
+    assertAgentAccess(req, agentId, level);
+    return [agentId];
+  }
+  return accessibleAgentIds(req, level);
+};
@@ -1,60 +1,19 @@
 import { logger } from "../lib/logger.js";
 import { UnauthorizedError, ForbiddenError } from "./errorHandler.js";
-import jwt from "jsonwebtoken";
+import { verifyAccessToken } from "../lib/sessions.js";
+import { authenticateApiKey, isIssuedApiKey } from "../lib/apiKeys.js";
+import { resolveRequestPermissions } from "../lib/permissions.js";
 
 /**
- * API Key authentication middleware
- * Checks for API key in Authorization header or x-api-key header
+ * Authentication middleware
+ * Accepts a JWT access token (Authorization: Bearer) or an issued API key
+ * (x-api-key or Bearer), and resolves the caller's permissions into
+ * req.permissions
  */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
   try {
-    const apiKey = process.env.API_AUTH_KEY;
-
-    if (!apiKey) {
-      logger.error("API_AUTH_KEY environment variable not set");
-      return res.status(500).json({
-        error: true,
-        message: "Server configuration error",
-      });
-    }
-
-    // Prefer JWT if provided
-    const authHeader = req.headers.authorization;
-    const bearerToken =
-      authHeader && authHeader.startsWith("Bearer ")
-        ? authHeader.slice(7)
-        : null;
-
-    if (!bearerToken && !req.headers["x-api-key"]) {
-      logger.warn("API request without authentication", {
-        ip: req.ip,
-        url: req.url,
-        method: req.method,
-      });
-      throw new UnauthorizedError("API key required");
-    }
-
-    // Try JWT first
-    if (bearerToken && process.env.JWT_SECRET) {
-      try {
-        const decoded = jwt.verify(bearerToken, process.env.JWT_SECRET);
-        req.user = { id: decoded.sub, role: decoded.role };
-        logger.debug("JWT authentication successful", { url: req.url });
-        return next();
-      } catch (e) {
-        // fall through to API key auth
-      }
-    }
-
-    // Fallback to API key authentication
-    const providedKey = req.headers["x-api-key"] || bearerToken;
-    if (providedKey !== apiKey) {
-      logger.warn("API request with invalid credentials", { url: req.url });
-      throw new UnauthorizedError("Invalid credentials");
-    }
-
-    logger.debug("API key authentication successful", { url: req.url });
-
+    await authenticate(req);
+    req.permissions = await resolveRequestPermissions(req);
     next();
   } catch (error) {
     next(error);
@@ -62,66 +21,113 @@ export const authMiddleware = (req, res, next) => {
 };
 
 /**
- * Optional authentication middleware (for public endpoints)
- * Adds user info to request if API key is provided
+ * Identify the caller from the request credentials, setting req.user and,
+ * for API keys, req.apiKey
  */
-export const optionalAuthMiddleware = (req, res, next) => {
-  try {
-    const apiKey = process.env.API_AUTH_KEY;
+const authenticate = async (req) => {
+  // Prefer JWT if provided
+  const authHeader = req.headers.authorization;
+  const bearerToken =
+    authHeader && authHeader.startsWith("Bearer ")
+      ? authHeader.slice(7)
+      : null;
+
+  if (!bearerToken && !req.headers["x-api-key"]) {
+    logger.warn("API request without authentication", {
+      ip: req.ip,
+      url: req.url,
+      method: req.method,
+    });
+    throw new UnauthorizedError("API key required");
+  }
 
-    if (!apiKey) {
-      return next();
+  // Try JWT first
+  if (bearerToken && !isIssuedApiKey(bearerToken) && process.env.JWT_SECRET) {
+    try {
+      const decoded = await verifyAccessToken(bearerToken);
+      req.user = {
+        id: decoded.sub,
+        role: decoded.role,
+        organizationId: decoded.org || null,
+        roleId: decoded.roleId,
+      };
+      logger.debug("JWT authentication successful", { url: req.url });
+      return;
+    } catch (e) {
+      // fall through to API key auth
     }
+  }
 
-    const authHeader = req.headers.authorization;
-    const bearerToken =
-      authHeader && authHeader.startsWith("Bearer ")
-        ? authHeader.slice(7)
-        : null;
+  const providedKey = req.headers["x-api-key"] || bearerToken;
 
-    const apiKeyHeader = req.headers["x-api-key"];
-    const providedKey = bearerToken || apiKeyHeader;
+  // Named API keys act on behalf of their user, or as an admin of their
+  // organization, limited to the key's scopes
+  const apiKey = isIssuedApiKey(providedKey)
+    ? await authenticateApiKey(providedKey, req.ip)
+    : null;
+  if (!apiKey) {
+    logger.warn("API request with invalid credentials", { url: req.url });
+    throw new UnauthorizedError("Invalid credentials");
+  }
 
-    if (providedKey && providedKey === apiKey) {
-      req.authenticated = true;
-      logger.debug("Optional authentication successful", {
-        ip: req.ip,
+  req.apiKey = {
+    id: apiKey.id,
+    scopes: apiKey.scopes,
+    // Organization keys hold no more than the admin who created them
+    ...(apiKey.creator && {
+      creator: { role: apiKey.creator.role, roleId: apiKey.creator.role_id },
+    }),
+  };
+  req.user = apiKey.user
+    ? {
+        id: apiKey.user.id,
+        role: apiKey.user.role,
+        organizationId: apiKey.user.organization_id,
+        roleId: apiKey.user.role_id,
+      }
+    : {
+        id: null,
+        role: "ADMIN",
+        organizationId: apiKey.organization_id,
+      };
+  logger.debug("API key authentication successful", {
+    url: req.url,
+    apiKeyId: apiKey.id,
+  });
+};
+
+/**
+ * Permission middleware
+ * Requires the caller to hold a permission, through their role or, for API
+ * keys, through both the key's scopes and its owner's role
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  try {
+    if (!req.permissions?.has(permission)) {
+      logger.warn("Permission denied", {
+        userId: req.user?.id,
+        apiKeyId: req.apiKey?.id,
+        permission,
         url: req.url,
-        method: req.method,
       });
-    } else {
-      req.authenticated = false;
+      throw new ForbiddenError(`Missing the ${permission} permission`);
     }
-
     next();
   } catch (error) {
-    req.authenticated = false;
-    next();
+    next(error);
   }
 };
 
 /**
- * Admin-only middleware
- * Requires user to be authenticated and have ADMIN or SUPERADMIN role
+ * Session-only middleware
+ * Requires a signed-in user (JWT), rejecting API key requests, e.g. so that
+ * API keys cannot be used to mint further keys
  */
-export const adminMiddleware = (req, res, next) => {
+export const sessionOnlyMiddleware = (req, res, next) => {
   try {
-    // First ensure user is authenticated
-    if (!req.user || !req.user.id) {
-      throw new UnauthorizedError("Authentication required");
+    if (!req.user || !req.user.id || req.apiKey) {
+      throw new ForbiddenError("Sign in with a user session for this action");
     }
-
-    // Check if user has ADMIN role
-    const adminRoles = new Set(["ADMIN", "SUPERADMIN"]);
-    if (!adminRoles.has(req.user.role)) {
-      logger.warn("Admin access denied", {
-        userId: req.user.id,
-        role: req.user.role,
-        url: req.url,
-      });
-      throw new ForbiddenError("Admin access required");
-    }
-
     next();
   } catch (error) {
     next(error);
@@ -134,7 +140,7 @@ export const adminMiddleware = (req, res, next) => {
  */
 export const superAdminMiddleware = (req, res, next) => {
   try {
-    if (!req.user || !req.user.id) {
+    if (!req.user || !req.user.role) {
       throw new UnauthorizedError("Authentication required");
     }
 
@@ -1,8 +1,44 @@
 import express from "express";
 import Joi from "joi";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import rateLimit from "express-rate-limit";
 import { prisma } from "../lib/database.js";
+import { logger } from "../lib/logger.js";
+import { recordAuditEvent } from "../lib/audit.js";
+import { getUserPermissions } from "../lib/permissions.js";
+import { notifyRegistrationReceived } from "../lib/notifications.js";
+import { sendMail, appUrl } from "../lib/mailer.js";
+import { issueUserToken, consumeUserToken } from "../lib/userTokens.js";
+import {
+  isOpenRegistrationEnabled,
+  findPendingInvitation,
+  acceptInvitation,
+} from "../lib/invitations.js";
+import {
+  assertNotLocked,
+  isLoginBlocked,
+  recordFailedLogin,
+  clearFailedLogins,
+} from "../lib/loginProtection.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+} from "../lib/sessions.js";
+import {
+  isTotpRequired,
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotpCode,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} from "../lib/totp.js";
 import {
   asyncHandler,
   ValidationError,
@@ -12,6 +48,21 @@ import {
 
 const router = express.Router();
 
+// Per-IP throttle for login steps, separate from the general API limit;
+// only failed attempts count towards it
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_IP || 20),
+  skipSuccessfulRequests: true,
+  message: {
+    error: true,
+    message: "Too many login attempts from this IP, please try again later.",
+  },
+});
+
+const requireEmailVerification = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(8).max(128).required(),
@@ -23,17 +74,179 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
-function signToken(payload) {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    throw new Error("JWT_SECRET is not configured");
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+  allSessions: Joi.boolean().default(false),
+});
+
+const emailSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const confirmResetSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8).max(128).required(),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+const invitationTokenSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8).max(128).required(),
+  name: Joi.string().max(120).allow("").optional(),
+});
+
+const totpCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({ "string.pattern.base": '"code" must be a 6-digit code' });
+
+const loginSecondFactorSchema = Joi.object({
+  mfaToken: Joi.string().required(),
+  code: totpCode,
+  recoveryCode: Joi.string(),
+}).xor("code", "recoveryCode");
+
+const totpSetupSchema = Joi.object({
+  mfaToken: Joi.string().optional(),
+});
+
+const totpEnableSchema = Joi.object({
+  mfaToken: Joi.string().optional(),
+  code: totpCode.required(),
+});
+
+const totpDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: totpCode,
+  recoveryCode: Joi.string(),
+}).xor("code", "recoveryCode");
+
+const recoveryCodesSchema = Joi.object({
+  code: totpCode.required(),
+});
+
+/**
+ * Resolve the user managing their 2FA settings: from the access token, or
+ * from an enrollment MFA token while 2FA setup blocks their first login
+ */
+const resolveTotpUserId = async (req, mfaToken) => {
+  if (mfaToken) {
+    return verifyMfaToken(mfaToken, "enroll");
   }
-  return jwt.sign(payload, secret, { expiresIn: "7d" });
-}
+  const auth = req.headers.authorization;
+  const token = auth && auth.startsWith("Bearer ") ? auth.slice(7) : null;
+  if (!token) throw new UnauthorizedError("Missing token");
+  const decoded = await verifyAccessToken(token);
+  return decoded.sub;
+};
+
+/**
+ * Check a TOTP code or recovery code for a user with 2FA enabled, recording
+ * its use so it cannot be replayed
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotpCode(
+      decryptTotpSecret(user.totp_secret),
+      code,
+      user.totp_last_used_step
+    );
+    if (step === null) return false;
+    // Conditional update so the same code cannot be used twice concurrently
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { totp_last_used_step: null },
+          { totp_last_used_step: { lt: step } },
+        ],
+      },
+      data: { totp_last_used_step: step },
+    });
+    return count === 1;
+  }
+
+  const codeHash = hashRecoveryCode(recoveryCode);
+  if (!user.totp_recovery_codes.includes(codeHash)) return false;
+  // Conditional on the codes read above, so the same code cannot be used
+  // twice concurrently, nor another code restored by a concurrent write
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      totp_recovery_codes: {
+        has: codeHash,
+        equals: user.totp_recovery_codes,
+      },
+    },
+    data: {
+      totp_recovery_codes: user.totp_recovery_codes.filter(
+        (hash) => hash !== codeHash
+      ),
+    },
+  });
+  if (count !== 1) return false;
+  logger.info("Recovery code used", {
+    userId: user.id,
+    remaining: user.totp_recovery_codes.length - 1,
+  });
+  return true;
+};
+
+// Auth routes act on the user named in the request rather than req.user
+const auditUserEvent = (req, action, user, extra = {}) =>
+  recordAuditEvent(req, {
+    action,
+    actorUserId: user.id,
+    targetType: "user",
+    targetId: user.id,
+    organizationId: user.organization_id ?? null,
+    ...extra,
+  });
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user.id, "EMAIL_VERIFICATION");
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Confirm your email address by opening this link:\n\n${appUrl(
+      "/verify-email",
+      { token }
+    )}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user.id, "PASSWORD_RESET");
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Choose a new password by opening this link:\n\n${appUrl(
+      "/reset-password",
+      { token }
+    )}\n\nIf you did not ask for a password reset, you can ignore this email.`,
+  });
+};
 
 router.post(
   "/register",
   asyncHandler(async (req, res) => {
+    if (!isOpenRegistrationEnabled()) {
+      throw new ForbiddenError(
+        "Registration is closed; ask an administrator for an invitation"
+      );
+    }
+
     const { error, value } = registerSchema.validate(req.body, {
       abortEarly: false,
       stripUnknown: true,
@@ -82,6 +295,19 @@ router.post(
       },
     });
 
+    await auditUserEvent(req, "auth.register", user, { after: user });
+    await notifyRegistrationReceived(user);
+
+    // Mail problems must not fail registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error("Failed to send verification email", {
+        userId: user.id,
+        error: mailError.message,
+      });
+    }
+
     res.status(201).json({
       success: true,
       data: user,
@@ -90,8 +316,55 @@ router.post(
   })
 );
 
+router.post(
+  "/invitations/preview",
+  asyncHandler(async (req, res) => {
+    const { error, value } = invitationTokenSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const invitation = await findPendingInvitation(value.token);
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        organizationName: invitation.organization?.name || null,
+        expires_at: invitation.expires_at,
+      },
+    });
+  })
+);
+
+router.post(
+  "/invitations/accept",
+  asyncHandler(async (req, res) => {
+    const { error, value } = acceptInvitationSchema.validate(req.body, {
+      stripUnknown: true,
+    });
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const passwordHash = await bcrypt.hash(value.password, 12);
+    const { user, invitation } = await acceptInvitation(value.token, {
+      passwordHash,
+      name: value.name && value.name.trim() ? value.name.trim() : null,
+    });
+
+    await auditUserEvent(req, "auth.invitation_accepted", user, {
+      after: user,
+      metadata: { invitationId: invitation.id },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: "Your account is ready; sign in with your new password.",
+    });
+  })
+);
+
 router.post(
   "/login",
+  loginLimiter,
   asyncHandler(async (req, res) => {
     const { error, value } = loginSchema.validate(req.body, {
       abortEarly: false,
@@ -116,17 +389,416 @@ router.post(
 
     const { email, password } = value;
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) throw new UnauthorizedError("Invalid credentials");
+    if (!user) {
+      await recordAuditEvent(req, {
+        action: "auth.login_failed",
+        actorUserId: null,
+        metadata: { email, reason: "unknown_email" },
+      });
+      throw new UnauthorizedError("Invalid credentials");
+    }
+
+    // Blocked accounts get the same answer as unknown addresses, so the
+    // response does not reveal which addresses have an account
+    if (isLoginBlocked(user)) {
+      await auditUserEvent(req, "auth.login_failed", user, {
+        metadata: { reason: "locked" },
+      });
+      throw new UnauthorizedError("Invalid credentials");
+    }
 
     const valid = await bcrypt.compare(password, user.passwordHash);
-    if (!valid) throw new UnauthorizedError("Invalid credentials");
+    if (!valid) {
+      await recordFailedLogin(user, req.ip);
+      await auditUserEvent(req, "auth.login_failed", user, {
+        metadata: { reason: "invalid_password" },
+      });
+      throw new UnauthorizedError("Invalid credentials");
+    }
+
+    if (requireEmailVerification() && !user.email_verified_at) {
+      throw new ForbiddenError("Email address not verified");
+    }
 
+    if (user.status === "REJECTED") {
+      throw new ForbiddenError("Account registration was rejected");
+    }
     if (user.status !== "APPROVED") {
       throw new ForbiddenError("Account pending approval");
     }
 
-    const token = signToken({ sub: user.id, role: user.role });
-    res.json({ success: true, token });
+    // Second step: the client exchanges the MFA token and a code at
+    // /login/2fa, or sets up 2FA first if policy requires it
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: signMfaToken(user, "verify"),
+      });
+    }
+    if (isTotpRequired(user)) {
+      return res.json({
+        success: true,
+        mfaEnrollmentRequired: true,
+        mfaToken: signMfaToken(user, "enroll"),
+      });
+    }
+
+    await clearFailedLogins(user);
+    const tokens = await createSession(user, {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+    await auditUserEvent(req, "auth.login", user);
+    res.json({ success: true, ...tokens });
+  })
+);
+
+router.post(
+  "/login/2fa",
+  loginLimiter,
+  asyncHandler(async (req, res) => {
+    const { error, value } = loginSecondFactorSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const userId = verifyMfaToken(value.mfaToken, "verify");
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.status !== "APPROVED" || !user.totp_enabled_at) {
+      throw new UnauthorizedError("Invalid or expired MFA token");
+    }
+
+    assertNotLocked(user, res);
+
+    if (!(await verifySecondFactor(user, value))) {
+      await recordFailedLogin(user, req.ip);
+      await auditUserEvent(req, "auth.login_failed", user, {
+        metadata: { reason: "invalid_2fa_code" },
+      });
+      throw new UnauthorizedError("Invalid two-factor code");
+    }
+
+    await clearFailedLogins(user);
+    const tokens = await createSession(user, {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+    await auditUserEvent(req, "auth.login", user, {
+      metadata: {
+        secondFactor: value.recoveryCode ? "recovery_code" : "totp",
+      },
+    });
+    res.json({ success: true, ...tokens });
+  })
+);
+
+router.post(
+  "/2fa/setup",
+  asyncHandler(async (req, res) => {
+    const { error, value } = totpSetupSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const userId = await resolveTotpUserId(req, value.mfaToken);
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        organization_id: true,
+        totp_enabled_at: true,
+      },
+    });
+    if (!user) throw new UnauthorizedError("User not found");
+    if (user.totp_enabled_at) {
+      throw new ValidationError("Two-factor authentication is already enabled");
+    }
+
+    // The secret stays pending until /2fa/enable confirms a code from it
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totp_secret: encryptTotpSecret(secret), totp_last_used_step: null },
+    });
+    await auditUserEvent(req, "auth.2fa_setup", user);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUrl: buildOtpauthUrl(secret, user.email) },
+    });
+  })
+);
+
+router.post(
+  "/2fa/enable",
+  asyncHandler(async (req, res) => {
+    const { error, value } = totpEnableSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const userId = await resolveTotpUserId(req, value.mfaToken);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) throw new UnauthorizedError("User not found");
+    if (user.totp_enabled_at) {
+      throw new ValidationError("Two-factor authentication is already enabled");
+    }
+    if (!user.totp_secret) {
+      throw new ValidationError("Start two-factor setup first");
+    }
+
+    const step = verifyTotpCode(decryptTotpSecret(user.totp_secret), value.code);
+    if (step === null) {
+      throw new ValidationError("Invalid two-factor code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totp_enabled_at: new Date(),
+        totp_last_used_step: step,
+        totp_recovery_codes: hashes,
+      },
+    });
+    logger.info("Two-factor authentication enabled", { userId: user.id });
+    await auditUserEvent(req, "auth.2fa_enabled", user);
+
+    // Completing enrollment during login also finishes the login
+    const tokens = value.mfaToken
+      ? await createSession(user, {
+          ip: req.ip,
+          userAgent: req.get("User-Agent"),
+        })
+      : {};
+    if (value.mfaToken) {
+      await auditUserEvent(req, "auth.login", user, {
+        metadata: { secondFactor: "totp_enrollment" },
+      });
+    }
+
+    res.json({
+      success: true,
+      ...tokens,
+      data: { recoveryCodes: codes },
+      message: "Store these recovery codes now; they cannot be shown again.",
+    });
+  })
+);
+
+router.post(
+  "/2fa/disable",
+  asyncHandler(async (req, res) => {
+    const { error, value } = totpDisableSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const userId = await resolveTotpUserId(req);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) throw new UnauthorizedError("User not found");
+    if (!user.totp_enabled_at) {
+      throw new ValidationError("Two-factor authentication is not enabled");
+    }
+    if (isTotpRequired(user)) {
+      throw new ForbiddenError(
+        "Two-factor authentication is required for your role"
+      );
+    }
+
+    const validPassword = await bcrypt.compare(value.password, user.passwordHash);
+    if (!validPassword || !(await verifySecondFactor(user, value))) {
+      throw new UnauthorizedError("Invalid credentials");
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totp_secret: null,
+        totp_enabled_at: null,
+        totp_last_used_step: null,
+        totp_recovery_codes: [],
+      },
+    });
+    logger.info("Two-factor authentication disabled", { userId: user.id });
+    await auditUserEvent(req, "auth.2fa_disabled", user);
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  })
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  asyncHandler(async (req, res) => {
+    const { error, value } = recoveryCodesSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const userId = await resolveTotpUserId(req);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) throw new UnauthorizedError("User not found");
+    if (!user.totp_enabled_at) {
+      throw new ValidationError("Two-factor authentication is not enabled");
+    }
+    if (!(await verifySecondFactor(user, value))) {
+      throw new UnauthorizedError("Invalid two-factor code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totp_recovery_codes: hashes },
+    });
+    await auditUserEvent(req, "auth.recovery_codes_regenerated", user);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes },
+      message: "Previous recovery codes no longer work.",
+    });
+  })
+);
+
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const tokens = await rotateSession(value.refreshToken);
+    res.json({ success: true, ...tokens });
+  })
+);
+
+router.post(
+  "/logout",
+  asyncHandler(async (req, res) => {
+    const { error, value } = logoutSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const session = await revokeSession(value.refreshToken);
+    if (session && value.allSessions) {
+      await revokeUserSessions(session.user_id);
+    }
+    if (session) {
+      await auditUserEvent(req, "auth.logout", { id: session.user_id }, {
+        metadata: { allSessions: value.allSessions },
+      });
+    }
+    res.json({ success: true, message: "Logged out" });
+  })
+);
+
+router.post(
+  "/password-reset/request",
+  asyncHandler(async (req, res) => {
+    const { error, value } = emailSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    // Same response whether or not the address is registered, so the
+    // endpoint cannot be used to discover accounts
+    const user = await prisma.user.findUnique({
+      where: { email: value.email },
+      select: { id: true, email: true, organization_id: true },
+    });
+    if (user) {
+      await auditUserEvent(req, "auth.password_reset_requested", user);
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailError) {
+        logger.error("Failed to send password reset email", {
+          userId: user.id,
+          error: mailError.message,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "If the email is registered, a reset link has been sent.",
+    });
+  })
+);
+
+router.post(
+  "/password-reset/confirm",
+  asyncHandler(async (req, res) => {
+    const { error, value } = confirmResetSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const userId = await consumeUserToken(value.token, "PASSWORD_RESET");
+    const passwordHash = await bcrypt.hash(value.password, 12);
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, organization_id: true, email_verified_at: true },
+    });
+
+    // Receiving the reset link also proves ownership of the address, and
+    // lifts any lockout from failed logins
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        passwordHash,
+        email_verified_at: user.email_verified_at || new Date(),
+        failed_login_attempts: 0,
+        locked_until: null,
+      },
+    });
+    await revokeUserSessions(userId);
+    await auditUserEvent(req, "auth.password_reset", user);
+
+    res.json({ success: true, message: "Password has been reset" });
+  })
+);
+
+router.post(
+  "/verify-email",
+  asyncHandler(async (req, res) => {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const userId = await consumeUserToken(value.token, "EMAIL_VERIFICATION");
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { email_verified_at: new Date() },
+      select: {
+        id: true,
+        email: true,
+        organization_id: true,
+        email_verified_at: true,
+      },
+    });
+    await auditUserEvent(req, "auth.email_verified", user);
+
+    res.json({ success: true, data: user, message: "Email verified" });
+  })
+);
+
+router.post(
+  "/verify-email/resend",
+  asyncHandler(async (req, res) => {
+    const { error, value } = emailSchema.validate(req.body);
+    if (error) throw new ValidationError(error.details[0].message);
+
+    const user = await prisma.user.findUnique({
+      where: { email: value.email },
+      select: {
+        id: true,
+        email: true,
+        organization_id: true,
+        email_verified_at: true,
+      },
+    });
+    if (user && !user.email_verified_at) {
+      await auditUserEvent(req, "auth.verification_resent", user);
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error("Failed to send verification email", {
+          userId: user.id,
+          error: mailError.message,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If the email is registered and unverified, a verification link has been sent.",
+    });
   })
 );
 
@@ -137,9 +809,8 @@ router.get(
     const token = auth && auth.startsWith("Bearer ") ? auth.slice(7) : null;
     if (!token) throw new UnauthorizedError("Missing token");
 
-    const secret = process.env.JWT_SECRET;
     try {
-      const decoded = jwt.verify(token, secret);
+      const decoded = await verifyAccessToken(token);
       const user = await prisma.user.findUnique({
         where: { id: decoded.sub },
         select: {
@@ -148,11 +819,19 @@ router.get(
           name: true,
           role: true,
           status: true,
+          email_verified_at: true,
+          totp_enabled_at: true,
+          organization_id: true,
+          role_id: true,
           created_at: true,
         },
       });
       if (!user) throw new UnauthorizedError("User not found");
-      res.json({ success: true, data: user });
+      const permissions = await getUserPermissions({
+        role: user.role,
+        roleId: user.role_id,
+      });
+      res.json({ success: true, data: { ...user, permissions } });
     } catch (e) {
       throw new UnauthorizedError("Invalid token");
     }
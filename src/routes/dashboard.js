@@ -1,45 +1,225 @@
 import express from "express";
 import Joi from "joi";
 import { prisma } from "../lib/database.js";
-import { retellAPI } from "../lib/retell.js";
+import { claimSyncRun, dispatchSyncRun } from "../lib/syncJobs.js";
+import { revokeUserSessions } from "../lib/sessions.js";
+import { API_KEY_SCOPES, generateApiKey } from "../lib/apiKeys.js";
+import { lockedAccountsWhere } from "../lib/loginProtection.js";
+import { recordAuditEvent } from "../lib/audit.js";
+import {
+  PERMISSIONS,
+  hasPermission,
+  invalidateRoleCache,
+  redactCallFields,
+} from "../lib/permissions.js";
+import { notifyReviewDecision } from "../lib/notifications.js";
+import {
+  createInvitation,
+  invitationStatus,
+  invitationStatusWhere,
+} from "../lib/invitations.js";
+import {
+  dateRangeKeys,
+  resolveDateRange,
+  resolveComparisonRange,
+  buildTimestampFilter,
+  timezoneValue,
+} from "../lib/dateRange.js";
+import { getCallBuckets, BUCKET_GRANULARITIES } from "../lib/callBuckets.js";
+import {
+  emptyOverviewMetrics,
+  getOverviewMetrics,
+  getSentimentDistribution,
+} from "../lib/callMetrics.js";
+import { signRecordingUrl, streamRecording } from "../lib/recordings.js";
+import {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_COLUMNS,
+  TRANSCRIPT_COLUMNS,
+  isExportColumn,
+  writeCallExport,
+} from "../lib/callExport.js";
 import { logger } from "../lib/logger.js";
+import { searchCalls } from "../lib/callSearch.js";
+import {
+  REPORT_FREQUENCIES,
+  getNextReportRun,
+  reportUserSelect,
+  sendReport,
+} from "../lib/reports.js";
+import {
+  callFieldFilterKeys,
+  buildCallFieldConditions,
+} from "../lib/callFilters.js";
 import {
   asyncHandler,
+  AppError,
   ValidationError,
   NotFoundError,
   ForbiddenError,
 } from "../middleware/errorHandler.js";
-import { adminMiddleware, superAdminMiddleware } from "../middleware/auth.js";
+import {
+  superAdminMiddleware,
+  sessionOnlyMiddleware,
+  requirePermission,
+} from "../middleware/auth.js";
+import {
+  ACCESS_LEVELS,
+  accessibleAgentIds,
+  agentScopeMiddleware,
+  assertAgentAccess,
+  canAccessAgent,
+  isInCallerOrganization,
+  scopedAgentFilter,
+  scopedAgentIds,
+  scopedOrganizationFilter,
+} from "../middleware/agentScope.js";
 
 const router = express.Router();
 
-const getAssignedAgentIds = async (userId) => {
-  const assignments = await prisma.userAgent.findMany({
-    where: { user_id: userId },
-    select: { agent_id: true },
-  });
-  return assignments.map((assignment) => assignment.agent_id);
+// Every dashboard route reads req.agentScope to limit USER-role callers to
+// their assigned agents
+router.use(agentScopeMiddleware);
+
+const parseDateRange = (value) => {
+  const range = resolveDateRange(value);
+  if (range.start !== null && range.end !== null && range.end <= range.start) {
+    throw new ValidationError("endDate must be after startDate");
+  }
+  return range;
+};
+
+/**
+ * Build the agent_id condition for the agentId and comma-separated agentIds
+ * query parameters, limited to the agents the caller may see
+ * @param {Object} req - Express request with req.agentScope
+ * @param {Object} value - Validated query with agentId and agentIds
+ * @param {string} level - Access level needed
+ * @returns {string|Object|undefined} - Condition, or undefined for no filter
+ */
+const requestedAgentFilter = (req, { agentId, agentIds }, level) => {
+  const requested = [
+    ...new Set(
+      [agentId, ...(agentIds ? agentIds.split(",") : [])]
+        .map((id) => id?.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (requested.length <= 1) {
+    return scopedAgentFilter(req, requested[0], level);
+  }
+  for (const id of requested) {
+    assertAgentAccess(req, id, level);
+  }
+  return { in: requested };
+};
+
+const calculateDelta = (current, previous) => ({
+  absolute: Math.round((current - previous) * 100) / 100,
+  percentage:
+    previous !== 0
+      ? Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100
+      : null,
+});
+
+/**
+ * Compare overview metrics against the metrics of an earlier window
+ */
+const buildOverviewComparison = (mode, comparisonRange, current, previous) => {
+  const statuses = new Set([
+    ...Object.keys(current.callsByStatus),
+    ...Object.keys(previous.callsByStatus),
+  ]);
+  const callsByStatus = {};
+  for (const status of statuses) {
+    callsByStatus[status] = calculateDelta(
+      current.callsByStatus[status] || 0,
+      previous.callsByStatus[status] || 0
+    );
+  }
+
+  return {
+    compareTo: mode,
+    startDate: new Date(comparisonRange.start).toISOString(),
+    endDate: new Date(comparisonRange.end).toISOString(),
+    ...previous,
+    deltas: {
+      totalCalls: calculateDelta(current.totalCalls, previous.totalCalls),
+      successRate: calculateDelta(current.successRate, previous.successRate),
+      avgCost: calculateDelta(current.avgCost, previous.avgCost),
+      avgDurationSeconds: calculateDelta(
+        current.avgDurationSeconds,
+        previous.avgDurationSeconds
+      ),
+      callsByStatus,
+    },
+  };
 };
 
-const normalizeRetellAgents = (agents) => {
-  const agentMap = new Map();
-  for (const agent of agents || []) {
-    if (!agent?.agent_id) {
-      continue;
-    }
-    const existing = agentMap.get(agent.agent_id);
-    const candidateTimestamp = agent.last_modification_timestamp || 0;
-    const existingTimestamp = existing?.last_modification_timestamp || 0;
-    const shouldReplace =
-      candidateTimestamp > existingTimestamp ||
-      (candidateTimestamp === existingTimestamp &&
-        agent.is_published &&
-        !existing?.is_published);
-    if (!existing || shouldReplace) {
-      agentMap.set(agent.agent_id, agent);
+/**
+ * Resolve the organization a new or updated record should belong to.
+ * Only superadmins may choose; everyone else is pinned to their own org.
+ */
+const resolveOrganizationId = async (req, requestedOrganizationId) => {
+  const callerOrganizationId = scopedOrganizationFilter(req);
+
+  if (callerOrganizationId !== undefined) {
+    if (
+      requestedOrganizationId !== undefined &&
+      requestedOrganizationId !== callerOrganizationId
+    ) {
+      throw new ForbiddenError("Superadmin access required");
+    }
+    return callerOrganizationId;
+  }
+
+  if (requestedOrganizationId) {
+    const organization = await prisma.organization.findUnique({
+      where: { id: requestedOrganizationId },
+      select: { id: true },
+    });
+    if (!organization) {
+      throw new NotFoundError(
+        `Organization with ID ${requestedOrganizationId} not found`
+      );
     }
   }
-  return Array.from(agentMap.values());
+  return requestedOrganizationId;
+};
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  user_id: true,
+  organization_id: true,
+  created_by_id: true,
+  created_at: true,
+  expires_at: true,
+  revoked_at: true,
+  last_used_at: true,
+  last_used_ip: true,
+};
+
+/**
+ * Where clause limiting API keys to those the caller may manage:
+ * superadmins see all, admins their organization's, users their own
+ */
+const apiKeyAccessWhere = (req) => {
+  if (req.user.role === "SUPERADMIN") {
+    return {};
+  }
+  if (req.user.role === "ADMIN") {
+    const organizationId = scopedOrganizationFilter(req);
+    return {
+      OR: [
+        { user_id: null, organization_id: organizationId },
+        { user: { organization_id: organizationId } },
+      ],
+    };
+  }
+  return { user_id: req.user.id };
 };
 
 // Validation schemas
@@ -65,23 +245,75 @@ const createAgentSchema = Joi.object({
   agent_id: Joi.string().required(),
   agent_name: Joi.string().max(200).required(),
   status: Joi.string().valid("ACTIVE", "INACTIVE").default("ACTIVE"),
+  organizationId: Joi.string().allow(null).optional(),
 });
 
 const updateAgentSchema = Joi.object({
   agent_name: Joi.string().max(200).optional(),
   status: Joi.string().valid("ACTIVE", "INACTIVE").optional(),
+  organizationId: Joi.string().allow(null).optional(),
 });
 
+// Call fields GET /calls can sort by; nullable ones sort their nulls last
+const CALL_SORT_FIELDS = {
+  date: { field: "start_timestamp" },
+  duration: { field: "duration_seconds" },
+  cost: { field: "cost" },
+  sentiment: { field: "user_sentiment", nullable: true },
+  callSuccessful: { field: "call_successful", nullable: true },
+  disconnectionReason: { field: "disconnection_reason", nullable: true },
+  callerNumber: { field: "from_number", nullable: true },
+  callStatus: { field: "call_status" },
+};
+
 const callsListSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
   offset: Joi.number().integer().min(0).default(0),
   agentId: Joi.string().optional(),
+  agentIds: Joi.string().max(2000).optional(),
   callStatus: Joi.string().optional(),
-  sortBy: Joi.string().valid("date", "duration", "cost").default("date"),
+  ...callFieldFilterKeys,
+  ...dateRangeKeys,
+  sortBy: Joi.string()
+    .valid(...Object.keys(CALL_SORT_FIELDS))
+    .default("date"),
+  sortOrder: Joi.string().valid("asc", "desc").default("desc"),
+});
+
+const exportCallsSchema = Joi.object({
+  format: Joi.string()
+    .valid(...Object.keys(EXPORT_FORMATS))
+    .default("csv"),
+  columns: Joi.string().max(2000).optional(),
+  includeTranscript: Joi.boolean().default(false),
+  query: Joi.string().min(1).max(500).optional(),
+  agentId: Joi.string().optional(),
+  agentIds: Joi.string().max(2000).optional(),
+  callStatus: Joi.string().optional(),
+  ...callFieldFilterKeys,
+  ...dateRangeKeys,
 });
 
+// Export query parameters that shape the file rather than filter calls
+const EXPORT_OPTION_KEYS = ["format", "columns", "includeTranscript"];
+
 const analyticsDateRangeSchema = Joi.object({
   agentId: Joi.string().optional(),
+  ...dateRangeKeys,
+});
+
+const analyticsCallsSchema = analyticsDateRangeSchema.keys({
+  granularity: Joi.string()
+    .valid(...BUCKET_GRANULARITIES)
+    .default("day"),
+});
+
+const analyticsOverviewSchema = analyticsDateRangeSchema.keys({
+  compareTo: Joi.string().valid("previous_period", "previous_year").optional(),
+}).with("compareTo", ["startDate", "endDate"]);
+
+const statsSchema = Joi.object({
+  ...dateRangeKeys,
 });
 
 const userListSchema = Joi.object({
@@ -89,6 +321,7 @@ const userListSchema = Joi.object({
   offset: Joi.number().integer().min(0).default(0),
   role: Joi.string().valid("USER", "ADMIN", "SUPERADMIN").optional(),
   status: Joi.string().valid("PENDING", "APPROVED", "REJECTED").optional(),
+  organizationId: Joi.string().optional(),
   search: Joi.string().max(200).optional(),
 });
 
@@ -96,6 +329,54 @@ const updateUserSchema = Joi.object({
   name: Joi.string().max(120).optional(),
   role: Joi.string().valid("USER", "ADMIN", "SUPERADMIN").optional(),
   status: Joi.string().valid("PENDING", "APPROVED", "REJECTED").optional(),
+  organizationId: Joi.string().allow(null).optional(),
+  roleId: Joi.string().allow(null).optional(),
+});
+
+const organizationListSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  search: Joi.string().max(200).optional(),
+});
+
+const pendingUsersSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  search: Joi.string().max(200).optional(),
+});
+
+const approveUserSchema = Joi.object({
+  reason: Joi.string().max(1000).allow("").optional(),
+});
+
+const rejectUserSchema = Joi.object({
+  reason: Joi.string().max(1000).required(),
+});
+
+const lockedUsersSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const organizationSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+});
+
+const invitationListSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  status: Joi.string()
+    .valid("PENDING", "ACCEPTED", "REVOKED", "EXPIRED")
+    .optional(),
+  organizationId: Joi.string().optional(),
+  search: Joi.string().max(200).optional(),
+});
+
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid("USER", "ADMIN", "SUPERADMIN").default("USER"),
+  organizationId: Joi.string().allow(null).optional(),
+  agentIds: Joi.array().items(Joi.string()).unique().max(100).default([]),
 });
 
 const agentAssignmentSchema = Joi.object({
@@ -103,13 +384,135 @@ const agentAssignmentSchema = Joi.object({
   agentId: Joi.string().required(),
 });
 
+// Access level of new assignments that do not name one, the access every
+// assignment had before levels existed
+const DEFAULT_ACCESS_LEVEL = "RECORDINGS";
+
+// Access level and expiry of assignments. They are optional so that
+// requests which only add agents leave existing assignments as they are.
+const assignmentAccessKeys = {
+  accessLevel: Joi.string()
+    .valid(...ACCESS_LEVELS)
+    .optional(),
+  expiresAt: Joi.date().iso().greater("now").allow(null).optional(),
+};
+
+const createAssignmentSchema = agentAssignmentSchema.keys({
+  accessLevel: assignmentAccessKeys.accessLevel.default(DEFAULT_ACCESS_LEVEL),
+  expiresAt: assignmentAccessKeys.expiresAt.default(null),
+});
+
+const updateAssignmentSchema = agentAssignmentSchema
+  .keys(assignmentAccessKeys)
+  .or("accessLevel", "expiresAt");
+
+const bulkAssignmentSchema = Joi.object({
+  action: Joi.string().valid("assign", "unassign").required(),
+  userIds: Joi.array().items(Joi.string()).min(1).max(100).unique().required(),
+  agentIds: Joi.array().items(Joi.string()).min(1).max(200).unique().required(),
+  ...assignmentAccessKeys,
+});
+
+const replaceUserAgentsSchema = Joi.object({
+  agentIds: Joi.array().items(Joi.string()).max(500).unique().required(),
+  ...assignmentAccessKeys,
+});
+
 const searchCallsSchema = Joi.object({
   query: Joi.string().min(1).max(500).required(),
   limit: Joi.number().integer().min(1).max(100).default(20),
   offset: Joi.number().integer().min(0).default(0),
   agentId: Joi.string().optional(),
+  callStatus: Joi.string().optional(),
+  sentiment: Joi.string().max(50).optional(),
+  sortBy: Joi.string().valid("relevance", "date").default("relevance"),
+  ...dateRangeKeys,
+});
+
+const syncStatusSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  type: Joi.string().valid("CALLS", "AGENTS").optional(),
+  status: Joi.string().valid("RUNNING", "SUCCEEDED", "FAILED").optional(),
+});
+
+const apiKeyListSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  userId: Joi.string().optional(),
+  organizationId: Joi.string().optional(),
+  includeRevoked: Joi.boolean().default(false),
+});
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().max(120).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required(),
+  expiresAt: Joi.date().iso().greater("now").optional(),
+  userId: Joi.string().optional(),
+  organizationId: Joi.string().optional(),
+}).oxor("userId", "organizationId");
+
+const auditEventListSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  actorUserId: Joi.string().optional(),
+  actorType: Joi.string()
+    .valid("USER", "API_KEY", "ANONYMOUS")
+    .optional(),
+  action: Joi.string().max(100).optional(),
+  targetType: Joi.string().max(50).optional(),
+  targetId: Joi.string().optional(),
+  organizationId: Joi.string().optional(),
+  ...dateRangeKeys,
+});
+
+const roleSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9][a-z0-9_-]*$/)
+    .max(60)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "name may only contain lowercase letters, digits, - and _",
+    }),
+  description: Joi.string().max(500).allow(null, "").optional(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...PERMISSIONS))
+    .unique()
+    .required(),
 });
 
+const updateRoleSchema = roleSchema
+  .fork(["name", "permissions"], (schema) => schema.optional())
+  .min(1);
+
+const MAX_REPORT_SUBSCRIPTIONS = 20;
+
+const reportSubscriptionKeys = {
+  frequency: Joi.string().valid(...REPORT_FREQUENCIES),
+  agentIds: Joi.array().items(Joi.string()).max(200).unique(),
+  timezone: timezoneValue,
+  sendHour: Joi.number().integer().min(0).max(23),
+  includeCsv: Joi.boolean(),
+  enabled: Joi.boolean(),
+};
+
+const createReportSubscriptionSchema = Joi.object({
+  frequency: reportSubscriptionKeys.frequency.required(),
+  agentIds: reportSubscriptionKeys.agentIds.default([]),
+  timezone: reportSubscriptionKeys.timezone.default("UTC"),
+  sendHour: reportSubscriptionKeys.sendHour.default(8),
+  includeCsv: reportSubscriptionKeys.includeCsv.default(false),
+  enabled: reportSubscriptionKeys.enabled.default(true),
+});
+
+const updateReportSubscriptionSchema =
+  Joi.object(reportSubscriptionKeys).min(1);
+
 const searchAgentsSchema = Joi.object({
   query: Joi.string().min(1).max(200).required(),
   limit: Joi.number().integer().min(1).max(100).default(20),
@@ -118,188 +521,49 @@ const searchAgentsSchema = Joi.object({
 
 /**
  * POST /api/dashboard/sync-calls
- * Syncs call data from Retell API to database
+ * Starts a background call sync from Retell API to database
  */
 router.post(
   "/sync-calls",
-  adminMiddleware,
+  requirePermission("sync:run"),
   asyncHandler(async (req, res) => {
     const { error, value } = syncCallsSchema.validate(req.body);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
+    // A sync without agentId stores calls of every organization
     const { agentId } = value;
+    if (agentId) {
+      assertAgentAccess(req, agentId, "MANAGE");
+    } else if (req.user.role !== "SUPERADMIN") {
+      throw new ForbiddenError(
+        "Only superadmins can sync calls of every agent; pass agentId"
+      );
+    }
 
-    logger.info("Starting call sync", {
+    const run = await claimSyncRun({
+      type: "CALLS",
+      trigger: "MANUAL",
       agentId,
     });
+    if (!run) {
+      throw new AppError("A call sync is already running", 409);
+    }
+    await dispatchSyncRun(run);
 
-    try {
-      // Fetch agents from Retell API first to get proper agent names
-      logger.info("Fetching agents from Retell API...");
-      const agentMap = new Map();
-
-      try {
-        const agents = normalizeRetellAgents(await retellAPI.getAgents());
-
-        if (agents && agents.length > 0) {
-          agents.forEach((agent) => {
-            agentMap.set(agent.agent_id, {
-              agent_name: agent.agent_name || `Agent ${agent.agent_id}`,
-              is_published: agent.is_published || false,
-              last_modification_timestamp: agent.last_modification_timestamp,
-            });
-          });
-          logger.info("Fetched agents", { agentCount: agents.length });
-        } else {
-          logger.warn("No agents found in Retell API");
-        }
-      } catch (agentError) {
-        logger.warn(
-          "Failed to fetch agents from Retell API, will use default names",
-          {
-            error: agentError.message,
-          }
-        );
-      }
-
-      const lastCall = await prisma.call.findFirst({
-        orderBy: { start_timestamp: "desc" },
-        select: { start_timestamp: true },
-      });
-      const startTimestamp = lastCall
-        ? Number(lastCall.start_timestamp) + 1
-        : null;
-
-      // Fetch calls from Retell API (incremental when possible)
-      const calls = await retellAPI.getAllCalls(100, {
-        ...(startTimestamp && { startTimestamp }),
-      });
-      logger.info(
-        `Retell calls response:\n${JSON.stringify(calls, null, 2)}`
-      );
-
-      if (!calls || calls.length === 0) {
-        return res.json({
-          success: true,
-          message: "No calls found",
-          callsSynced: 0,
-        });
-      }
-
-      // Filter by agentId if provided
-      const filteredCalls = agentId
-        ? calls.filter((call) => call.agent_id === agentId)
-        : calls;
-
-      let syncedCount = 0;
-      let updatedCount = 0;
-      let errorCount = 0;
-
-      // First, ensure all agents exist before processing calls
-      const uniqueAgentIds = [
-        ...new Set(filteredCalls.map((call) => call.agent_id)),
-      ];
-      logger.info("Creating/updating agents", {
-        agentCount: uniqueAgentIds.length,
-      });
-
-      for (const agentId of uniqueAgentIds) {
-        try {
-          const agentInfo = agentMap.get(agentId);
-          const agentName = agentInfo
-            ? agentInfo.agent_name
-            : `Agent ${agentId}`;
-
-          await prisma.agent.upsert({
-            where: { agent_id: agentId },
-            update: {
-              agent_name: agentName,
-              updated_at: new Date(),
-            },
-            create: {
-              agent_id: agentId,
-              agent_name: agentName,
-              status: "ACTIVE",
-            },
-          });
-        } catch (agentError) {
-          logger.error("Error creating/updating agent", {
-            agentId,
-            error: agentError.message,
-          });
-        }
-      }
-
-      // Now process each call
-      for (const call of filteredCalls) {
-        try {
-          // Calculate duration in seconds
-          const durationSeconds = Math.floor(call.duration_ms / 1000);
-          const costCents = Math.round(call.call_cost?.combined_cost || 0);
-
-          // Prepare call data - mapping from Retell API response structure
-          const callData = {
-            call_id: call.call_id,
-            agent_id: call.agent_id,
-            caller_info: call.caller_info || null,
-            start_timestamp: BigInt(call.start_timestamp),
-            end_timestamp: BigInt(call.end_timestamp),
-            duration_ms: call.duration_ms,
-            duration_seconds: durationSeconds,
-            transcript: call.transcript || null,
-            call_status: call.call_status,
-            disconnection_reason: call.disconnection_reason || null,
-            cost: costCents,
-            call_summary: call.call_analysis?.call_summary || null,
-            user_sentiment: call.call_analysis?.user_sentiment || null,
-            call_successful: call.call_analysis?.call_successful || false,
-            recording_url: call.recording_url || null,
-          };
-
-          // Upsert call (update if exists, create if not)
-          const result = await prisma.call.upsert({
-            where: { call_id: call.call_id },
-            update: callData,
-            create: callData,
-          });
-
-          if (result.created_at.getTime() === result.updated_at.getTime()) {
-            syncedCount++;
-          } else {
-            updatedCount++;
-          }
-        } catch (callError) {
-          logger.error("Error processing call", {
-            callId: call.call_id,
-            error: callError.message,
-          });
-          errorCount++;
-        }
-      }
-
-      logger.info("Call sync completed", {
-        totalCalls: filteredCalls.length,
-        syncedCount,
-        updatedCount,
-        errorCount,
-      });
+    await recordAuditEvent(req, {
+      action: "sync.calls",
+      targetType: "sync_run",
+      targetId: run.id,
+      metadata: { agentId: agentId || null },
+    });
 
-      res.json({
-        success: true,
-        message: "Call sync completed",
-        callsSynced: syncedCount,
-        callsUpdated: updatedCount,
-        errors: errorCount,
-      });
-    } catch (error) {
-      logger.error("Call sync failed", {
-        error: error.message,
-        agentId,
-      });
-      throw error;
-    }
+    res.status(202).json({
+      success: true,
+      message: "Call sync started",
+      data: run,
+    });
   })
 );
 
@@ -309,6 +573,7 @@ router.post(
  */
 router.get(
   "/agent-info/:agentId",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { agentId } = req.params;
 
@@ -316,6 +581,8 @@ router.get(
       throw new ValidationError("Agent ID is required");
     }
 
+    assertAgentAccess(req, agentId);
+
     const agent = await prisma.agent.findUnique({
       where: { agent_id: agentId },
       select: {
@@ -323,6 +590,7 @@ router.get(
         agent_id: true,
         agent_name: true,
         status: true,
+        organization_id: true,
         created_at: true,
         updated_at: true,
       },
@@ -345,6 +613,7 @@ router.get(
  */
 router.get(
   "/call-history/:agentId",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { agentId } = req.params;
     const { error, value } = callHistorySchema.validate(req.query);
@@ -359,6 +628,8 @@ router.get(
 
     const { limit, offset, sortBy } = value;
 
+    assertAgentAccess(req, agentId, "TRANSCRIPTS");
+
     // Verify agent exists
     const agent = await prisma.agent.findUnique({
       where: { agent_id: agentId },
@@ -394,6 +665,7 @@ router.get(
         select: {
           id: true,
           call_id: true,
+          agent_id: true,
           caller_info: true,
           start_timestamp: true,
           end_timestamp: true,
@@ -417,11 +689,13 @@ router.get(
     ]);
 
     // Convert BigInt timestamps to numbers for JSON serialization
-    const formattedCalls = calls.map((call) => ({
-      ...call,
-      start_timestamp: Number(call.start_timestamp),
-      end_timestamp: Number(call.end_timestamp),
-    }));
+    const formattedCalls = calls.map((call) =>
+      redactCallFields(req, {
+        ...call,
+        start_timestamp: Number(call.start_timestamp),
+        end_timestamp: Number(call.end_timestamp),
+      })
+    );
 
     res.json({
       success: true,
@@ -448,6 +722,7 @@ router.get(
  */
 router.get(
   "/agents",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { error, value } = agentListSchema.validate(req.query);
     if (error) {
@@ -455,24 +730,20 @@ router.get(
     }
 
     const { limit, offset, status, search } = value;
-    const isUserScoped = req.user?.role === "USER";
-    let assignedAgentIds = null;
-    if (isUserScoped) {
-      assignedAgentIds = await getAssignedAgentIds(req.user.id);
-      if (assignedAgentIds.length === 0) {
-        return res.json({
-          success: true,
-          data: {
-            agents: [],
-            pagination: {
-              total: 0,
-              limit,
-              offset,
-              hasMore: false,
-            },
+    const assignedAgentIds = req.agentScope.agentIds;
+    if (assignedAgentIds && assignedAgentIds.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          agents: [],
+          pagination: {
+            total: 0,
+            limit,
+            offset,
+            hasMore: false,
           },
-        });
-      }
+        },
+      });
     }
 
     // Build where clause
@@ -501,6 +772,7 @@ router.get(
           agent_id: true,
           agent_name: true,
           status: true,
+          organization_id: true,
           created_at: true,
           updated_at: true,
           _count: {
@@ -532,6 +804,7 @@ router.get(
  */
 router.post(
   "/agents",
+  requirePermission("agents:edit"),
   asyncHandler(async (req, res) => {
     const { error, value } = createAgentSchema.validate(req.body);
     if (error) {
@@ -539,6 +812,10 @@ router.post(
     }
 
     const { agent_id, agent_name, status } = value;
+    const organizationId = await resolveOrganizationId(
+      req,
+      value.organizationId
+    );
 
     // Check if agent already exists
     const existing = await prisma.agent.findUnique({
@@ -554,17 +831,27 @@ router.post(
         agent_id,
         agent_name,
         status: status || "ACTIVE",
+        organization_id: organizationId || null,
       },
       select: {
         id: true,
         agent_id: true,
         agent_name: true,
         status: true,
+        organization_id: true,
         created_at: true,
         updated_at: true,
       },
     });
 
+    await recordAuditEvent(req, {
+      action: "agent.create",
+      targetType: "agent",
+      targetId: agent.agent_id,
+      organizationId: agent.organization_id,
+      after: agent,
+    });
+
     res.status(201).json({
       success: true,
       data: agent,
@@ -578,6 +865,7 @@ router.post(
  */
 router.put(
   "/agents/:agentId",
+  requirePermission("agents:edit"),
   asyncHandler(async (req, res) => {
     const { agentId } = req.params;
     const { error, value } = updateAgentSchema.validate(req.body);
@@ -590,6 +878,8 @@ router.put(
       throw new ValidationError("Agent ID is required");
     }
 
+    assertAgentAccess(req, agentId, "MANAGE");
+
     // Check if agent exists
     const existing = await prisma.agent.findUnique({
       where: { agent_id: agentId },
@@ -599,19 +889,40 @@ router.put(
       throw new NotFoundError(`Agent with ID ${agentId} not found`);
     }
 
+    const { organizationId, ...agentData } = value;
+    if (organizationId !== undefined) {
+      if (scopedOrganizationFilter(req) !== undefined) {
+        throw new ForbiddenError("Superadmin access required");
+      }
+      agentData.organization_id = await resolveOrganizationId(
+        req,
+        organizationId
+      );
+    }
+
     const agent = await prisma.agent.update({
       where: { agent_id: agentId },
-      data: value,
+      data: agentData,
       select: {
         id: true,
         agent_id: true,
         agent_name: true,
         status: true,
+        organization_id: true,
         created_at: true,
         updated_at: true,
       },
     });
 
+    await recordAuditEvent(req, {
+      action: "agent.update",
+      targetType: "agent",
+      targetId: agentId,
+      organizationId: agent.organization_id,
+      before: existing,
+      after: agent,
+    });
+
     res.json({
       success: true,
       data: agent,
@@ -625,6 +936,7 @@ router.put(
  */
 router.delete(
   "/agents/:agentId",
+  requirePermission("agents:edit"),
   asyncHandler(async (req, res) => {
     const { agentId } = req.params;
 
@@ -632,6 +944,8 @@ router.delete(
       throw new ValidationError("Agent ID is required");
     }
 
+    assertAgentAccess(req, agentId, "MANAGE");
+
     const existing = await prisma.agent.findUnique({
       where: { agent_id: agentId },
     });
@@ -649,11 +963,21 @@ router.delete(
         agent_id: true,
         agent_name: true,
         status: true,
+        organization_id: true,
         created_at: true,
         updated_at: true,
       },
     });
 
+    await recordAuditEvent(req, {
+      action: "agent.deactivate",
+      targetType: "agent",
+      targetId: agentId,
+      organizationId: agent.organization_id,
+      before: existing,
+      after: agent,
+    });
+
     res.json({
       success: true,
       message: "Agent deactivated successfully",
@@ -664,82 +988,31 @@ router.delete(
 
 /**
  * POST /api/dashboard/sync-agents
- * Sync agents from Retell API to database
+ * Starts a background agent sync from Retell API to database (superadmin
+ * only, since it updates the agents of every organization)
  */
 router.post(
   "/sync-agents",
+  requirePermission("sync:run"),
+  superAdminMiddleware,
   asyncHandler(async (req, res) => {
-    logger.info("Starting agent sync from Retell API");
-
-    try {
-      const agents = normalizeRetellAgents(await retellAPI.getAgents());
-      logger.info(
-        `Retell agents response:\n${JSON.stringify(agents, null, 2)}`
-      );
-
-      if (!agents || agents.length === 0) {
-        return res.json({
-          success: true,
-          message: "No agents found in Retell API",
-          agentsSynced: 0,
-        });
-      }
-
-      let syncedCount = 0;
-      let updatedCount = 0;
-      let errorCount = 0;
-
-      for (const agent of agents) {
-        try {
-          const agentName = agent.agent_name || `Agent ${agent.agent_id}`;
-          const result = await prisma.agent.upsert({
-            where: { agent_id: agent.agent_id },
-            update: {
-              agent_name: agentName,
-              status: agent.is_published ? "ACTIVE" : "INACTIVE",
-              updated_at: new Date(),
-            },
-            create: {
-              agent_id: agent.agent_id,
-              agent_name: agentName,
-              status: agent.is_published ? "ACTIVE" : "INACTIVE",
-            },
-          });
-
-          if (result.created_at.getTime() === result.updated_at.getTime()) {
-            syncedCount++;
-          } else {
-            updatedCount++;
-          }
-        } catch (agentError) {
-          logger.error("Error syncing agent", {
-            agentId: agent.agent_id,
-            error: agentError.message,
-          });
-          errorCount++;
-        }
-      }
+    const run = await claimSyncRun({ type: "AGENTS", trigger: "MANUAL" });
+    if (!run) {
+      throw new AppError("An agent sync is already running", 409);
+    }
+    await dispatchSyncRun(run);
 
-      logger.info("Agent sync completed", {
-        totalAgents: agents.length,
-        syncedCount,
-        updatedCount,
-        errorCount,
-      });
+    await recordAuditEvent(req, {
+      action: "sync.agents",
+      targetType: "sync_run",
+      targetId: run.id,
+    });
 
-      res.json({
-        success: true,
-        message: "Agent sync completed",
-        agentsSynced: syncedCount,
-        agentsUpdated: updatedCount,
-        errors: errorCount,
-      });
-    } catch (error) {
-      logger.error("Agent sync failed", {
-        error: error.message,
-      });
-      throw error;
-    }
+    res.status(202).json({
+      success: true,
+      message: "Agent sync started",
+      data: run,
+    });
   })
 );
 
@@ -753,62 +1026,58 @@ router.post(
  */
 router.get(
   "/calls",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { error, value } = callsListSchema.validate(req.query);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
-    const { limit, offset, agentId, callStatus, sortBy } = value;
-    const isUserScoped = req.user?.role === "USER";
-    let assignedAgentIds = null;
-    if (isUserScoped) {
-      assignedAgentIds = await getAssignedAgentIds(req.user.id);
-      if (assignedAgentIds.length === 0) {
-        return res.json({
-          success: true,
-          data: {
-            calls: [],
-            pagination: {
-              total: 0,
-              limit,
-              offset,
-              hasMore: false,
-            },
+    const { limit, offset, callStatus, sortBy, sortOrder } = value;
+    const range = parseDateRange(value);
+    const assignedAgentIds = accessibleAgentIds(req, "TRANSCRIPTS");
+    if (assignedAgentIds && assignedAgentIds.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          calls: [],
+          pagination: {
+            total: 0,
+            limit,
+            offset,
+            hasMore: false,
           },
-        });
-      }
+        },
+      });
     }
 
     // Build where clause
     const where = {};
-    if (agentId) {
-      where.agent_id = agentId;
-    } else if (assignedAgentIds) {
-      where.agent_id = { in: assignedAgentIds };
+    const agentFilter = requestedAgentFilter(req, value, "TRANSCRIPTS");
+    if (agentFilter) {
+      where.agent_id = agentFilter;
     }
     if (callStatus) {
       where.call_status = callStatus;
     }
-    if (assignedAgentIds && agentId && !assignedAgentIds.includes(agentId)) {
-      throw new ForbiddenError("Access to agent not permitted");
+    const timestampFilter = buildTimestampFilter(range);
+    if (timestampFilter) {
+      where.start_timestamp = timestampFilter;
     }
-
-    // Build orderBy clause
-    let orderBy = {};
-    switch (sortBy) {
-      case "duration":
-        orderBy = { duration_seconds: "desc" };
-        break;
-      case "cost":
-        orderBy = { cost: "desc" };
-        break;
-      case "date":
-      default:
-        orderBy = { start_timestamp: "desc" };
-        break;
+    const fieldConditions = buildCallFieldConditions(value);
+    if (fieldConditions.length > 0) {
+      where.AND = fieldConditions;
     }
 
+    // Build orderBy clause; the id keeps pages stable between equal values
+    const { field, nullable } = CALL_SORT_FIELDS[sortBy];
+    const orderBy = [
+      {
+        [field]: nullable ? { sort: sortOrder, nulls: "last" } : sortOrder,
+      },
+      { id: sortOrder },
+    ];
+
     const [calls, totalCount] = await Promise.all([
       prisma.call.findMany({
         where,
@@ -831,6 +1100,13 @@ router.get(
           call_summary: true,
           user_sentiment: true,
           call_successful: true,
+          in_voicemail: true,
+          custom_analysis_data: true,
+          retell_llm_dynamic_variables: true,
+          metadata: true,
+          from_number: true,
+          to_number: true,
+          direction: true,
           recording_url: true,
           created_at: true,
           updated_at: true,
@@ -846,11 +1122,13 @@ router.get(
     ]);
 
     // Convert BigInt timestamps to numbers
-    const formattedCalls = calls.map((call) => ({
-      ...call,
-      start_timestamp: Number(call.start_timestamp),
-      end_timestamp: Number(call.end_timestamp),
-    }));
+    const formattedCalls = calls.map((call) =>
+      redactCallFields(req, {
+        ...call,
+        start_timestamp: Number(call.start_timestamp),
+        end_timestamp: Number(call.end_timestamp),
+      })
+    );
 
     res.json({
       success: true,
@@ -868,15 +1146,155 @@ router.get(
 );
 
 /**
- * GET /api/dashboard/calls/:callId
- * Get detailed call information by call ID
+ * Resolve the columns of an export. Columns revealing what was said on a
+ * call are dropped from the defaults for callers without transcripts:read
+ * and rejected when requested explicitly.
+ * @param {Object} req - Express request
+ * @param {Object} options - { columns, includeTranscript } from the query
+ * @returns {string[]}
  */
-router.get(
-  "/calls/:callId",
-  asyncHandler(async (req, res) => {
-    const { callId } = req.params;
-
-    if (!callId) {
+const resolveExportColumns = (req, { columns, includeTranscript }) => {
+  const canReadTranscripts = hasPermission(req, "transcripts:read");
+  let selected;
+
+  if (columns) {
+    selected = [
+      ...new Set(
+        columns
+          .split(",")
+          .map((column) => column.trim())
+          .filter(Boolean)
+      ),
+    ];
+    const unknown = selected.find((column) => !isExportColumn(column));
+    if (unknown) {
+      throw new ValidationError(`Unknown export column: ${unknown}`);
+    }
+    if (selected.length === 0) {
+      throw new ValidationError("At least one export column is required");
+    }
+  } else {
+    selected = DEFAULT_EXPORT_COLUMNS.filter(
+      (column) => canReadTranscripts || !TRANSCRIPT_COLUMNS.includes(column)
+    );
+  }
+
+  if (includeTranscript && !selected.includes("transcript")) {
+    selected.push("transcript");
+  }
+  if (
+    !canReadTranscripts &&
+    selected.some((column) => TRANSCRIPT_COLUMNS.includes(column))
+  ) {
+    throw new ForbiddenError(
+      "Exporting transcripts or summaries requires transcripts:read"
+    );
+  }
+  return selected;
+};
+
+/**
+ * GET /api/dashboard/calls/export
+ * Stream every call matching the /calls and /search/calls filters as CSV,
+ * XLSX or NDJSON
+ */
+router.get(
+  "/calls/export",
+  requirePermission("calls:read"),
+  requirePermission("calls:export"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = exportCallsSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { format, query, callStatus } = value;
+    const columns = resolveExportColumns(req, value);
+    const range = parseDateRange(value);
+
+    const where = {};
+    const agentFilter = requestedAgentFilter(req, value, "TRANSCRIPTS");
+    if (agentFilter) {
+      where.agent_id = agentFilter;
+    }
+    if (callStatus) {
+      where.call_status = callStatus;
+    }
+    const timestampFilter = buildTimestampFilter(range);
+    if (timestampFilter) {
+      where.start_timestamp = timestampFilter;
+    }
+    const fieldConditions = buildCallFieldConditions(value);
+    if (fieldConditions.length > 0) {
+      where.AND = fieldConditions;
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `calls-${new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")}.${extension}`;
+
+    let rows = 0;
+    try {
+      rows = await writeCallExport(res, {
+        format,
+        columns,
+        where,
+        search: query && {
+          query,
+          includeTranscripts: hasPermission(req, "transcripts:read"),
+        },
+        // Set only once the first query succeeded, so errors are not
+        // downloaded as the export file
+        headers: {
+          "Content-Type": contentType,
+          "Content-Disposition": `attachment; filename="${filename}"`,
+          "Cache-Control": "private, no-store",
+        },
+      });
+    } catch (exportError) {
+      if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        throw exportError;
+      }
+      // Headers are sent, so the client can only learn of the failure from
+      // the truncated download
+      logger.error("Call export failed", {
+        userId: req.user?.id,
+        format,
+        error: exportError.message,
+      });
+      res.destroy(exportError);
+    }
+
+    await recordAuditEvent(req, {
+      action: "call.export",
+      targetType: "call",
+      metadata: {
+        format,
+        columns,
+        filters: Object.fromEntries(
+          Object.entries(req.query).filter(
+            ([key]) => !EXPORT_OPTION_KEYS.includes(key)
+          )
+        ),
+        rows,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/dashboard/calls/:callId
+ * Get detailed call information by call ID
+ */
+router.get(
+  "/calls/:callId",
+  requirePermission("calls:read"),
+  asyncHandler(async (req, res) => {
+    const { callId } = req.params;
+
+    if (!callId) {
       throw new ValidationError("Call ID is required");
     }
 
@@ -892,12 +1310,20 @@ router.get(
         duration_ms: true,
         duration_seconds: true,
         transcript: true,
+        transcript_turns: true,
         call_status: true,
         disconnection_reason: true,
         cost: true,
         call_summary: true,
         user_sentiment: true,
         call_successful: true,
+        in_voicemail: true,
+        custom_analysis_data: true,
+        retell_llm_dynamic_variables: true,
+        metadata: true,
+        from_number: true,
+        to_number: true,
+        direction: true,
         recording_url: true,
         created_at: true,
         updated_at: true,
@@ -911,16 +1337,17 @@ router.get(
       },
     });
 
-    if (!call) {
+    if (!call || !canAccessAgent(req, call.agent_id, "TRANSCRIPTS")) {
       throw new NotFoundError(`Call with ID ${callId} not found`);
     }
 
     // Convert BigInt timestamps to numbers
-    const formattedCall = {
+    const formattedCall = redactCallFields(req, {
       ...call,
       start_timestamp: Number(call.start_timestamp),
       end_timestamp: Number(call.end_timestamp),
-    };
+      transcript_turns: call.transcript_turns ?? [],
+    });
 
     res.json({
       success: true,
@@ -929,12 +1356,65 @@ router.get(
   })
 );
 
+/**
+ * Find a call whose recording the caller may play
+ * @param {Object} req - Express request
+ * @param {string} callId - Retell call ID
+ * @returns {Promise<Object>} - Call with call_id and recording_url
+ */
+const findPlayableRecording = async (req, callId) => {
+  const call = await prisma.call.findUnique({
+    where: { call_id: callId },
+    select: { call_id: true, agent_id: true, recording_url: true },
+  });
+
+  if (!call || !canAccessAgent(req, call.agent_id, "RECORDINGS")) {
+    throw new NotFoundError(`Call with ID ${callId} not found`);
+  }
+  if (!call.recording_url) {
+    throw new NotFoundError(`Call ${callId} has no recording`);
+  }
+  return call;
+};
+
+/**
+ * GET /api/dashboard/calls/:callId/recording
+ * Stream a call recording; supports Range requests
+ */
+router.get(
+  "/calls/:callId/recording",
+  requirePermission("recordings:listen"),
+  asyncHandler(async (req, res) => {
+    const call = await findPlayableRecording(req, req.params.callId);
+    await streamRecording(call.recording_url, req, res);
+  })
+);
+
+/**
+ * GET /api/dashboard/calls/:callId/recording-url
+ * Issue a short-lived signed URL for playing a recording without a bearer
+ * header, e.g. as the src of an audio element
+ */
+router.get(
+  "/calls/:callId/recording-url",
+  requirePermission("recordings:listen"),
+  asyncHandler(async (req, res) => {
+    const call = await findPlayableRecording(req, req.params.callId);
+
+    res.json({
+      success: true,
+      data: signRecordingUrl(call.call_id),
+    });
+  })
+);
+
 /**
  * GET /api/dashboard/call-history
  * Get call history across all agents (without agent filter)
  */
 router.get(
   "/call-history",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { error, value } = callHistorySchema.validate(req.query);
 
@@ -944,6 +1424,12 @@ router.get(
 
     const { limit, offset, sortBy } = value;
 
+    const where = {};
+    const agentFilter = scopedAgentFilter(req, null, "TRANSCRIPTS");
+    if (agentFilter) {
+      where.agent_id = agentFilter;
+    }
+
     // Build orderBy clause
     let orderBy = {};
     switch (sortBy) {
@@ -962,6 +1448,7 @@ router.get(
     // Get calls with pagination
     const [calls, totalCount] = await Promise.all([
       prisma.call.findMany({
+        where,
         orderBy,
         skip: offset,
         take: limit,
@@ -992,15 +1479,17 @@ router.get(
           },
         },
       }),
-      prisma.call.count(),
+      prisma.call.count({ where }),
     ]);
 
     // Convert BigInt timestamps to numbers for JSON serialization
-    const formattedCalls = calls.map((call) => ({
-      ...call,
-      start_timestamp: Number(call.start_timestamp),
-      end_timestamp: Number(call.end_timestamp),
-    }));
+    const formattedCalls = calls.map((call) =>
+      redactCallFields(req, {
+        ...call,
+        start_timestamp: Number(call.start_timestamp),
+        end_timestamp: Number(call.end_timestamp),
+      })
+    );
 
     res.json({
       success: true,
@@ -1027,62 +1516,56 @@ router.get(
  */
 router.get(
   "/analytics/overview",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
-    const { error, value } = analyticsDateRangeSchema.validate(req.query);
+    const { error, value } = analyticsOverviewSchema.validate(req.query);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
-    const { agentId } = value;
-    const isUserScoped = req.user?.role === "USER";
-    let assignedAgentIds = null;
-    if (isUserScoped) {
-      assignedAgentIds = await getAssignedAgentIds(req.user.id);
-      if (assignedAgentIds.length === 0) {
-        return res.json({
-          success: true,
-          data: {
-            totalCalls: 0,
-            totalCost: 0,
-            avgCost: 0,
-            successfulCalls: 0,
-            successRate: 0,
-            totalAgents: 0,
-            totalDurationSeconds: 0,
-            avgDurationSeconds: 0,
-            callsByStatus: {},
-          },
-        });
-      }
+    const { agentId, compareTo } = value;
+    const range = parseDateRange(value);
+    const comparisonRange = compareTo
+      ? resolveComparisonRange(value, range, compareTo)
+      : null;
+    const assignedAgentIds = req.agentScope.agentIds;
+    if (assignedAgentIds && assignedAgentIds.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          ...emptyOverviewMetrics,
+          totalAgents: 0,
+          ...(comparisonRange && {
+            comparison: buildOverviewComparison(
+              compareTo,
+              comparisonRange,
+              emptyOverviewMetrics,
+              emptyOverviewMetrics
+            ),
+          }),
+        },
+      });
     }
 
     // Build where clause
     const where = {};
-    if (agentId) {
-      where.agent_id = agentId;
-    } else if (assignedAgentIds) {
-      where.agent_id = { in: assignedAgentIds };
-    }
-    if (assignedAgentIds && agentId && !assignedAgentIds.includes(agentId)) {
-      throw new ForbiddenError("Access to agent not permitted");
+    const agentFilter = scopedAgentFilter(req, agentId);
+    if (agentFilter) {
+      where.agent_id = agentFilter;
     }
 
-    const [
-      totalCalls,
-      totalCost,
-      successfulCalls,
-      totalAgents,
-      totalDuration,
-      callsByStatus,
-    ] = await Promise.all([
-      prisma.call.count({ where }),
-      prisma.call.aggregate({
-        where,
-        _sum: { cost: true },
-      }),
-      prisma.call.count({
-        where: { ...where, call_successful: true },
-      }),
+    const withRange = (dateRange) => {
+      const timestampFilter = buildTimestampFilter(dateRange);
+      return timestampFilter
+        ? { ...where, start_timestamp: timestampFilter }
+        : where;
+    };
+
+    const [metrics, previousMetrics, totalAgents] = await Promise.all([
+      getOverviewMetrics(withRange(range)),
+      comparisonRange
+        ? getOverviewMetrics(withRange(comparisonRange))
+        : Promise.resolve(null),
       agentId
         ? Promise.resolve(1)
         : assignedAgentIds
@@ -1090,40 +1573,21 @@ router.get(
               where: { status: "ACTIVE", agent_id: { in: assignedAgentIds } },
             })
           : prisma.agent.count({ where: { status: "ACTIVE" } }),
-      prisma.call.aggregate({
-        where,
-        _sum: { duration_seconds: true },
-      }),
-      prisma.call.groupBy({
-        by: ["call_status"],
-        where,
-        _count: true,
-      }),
     ]);
 
-    const avgDuration =
-      totalCalls > 0
-        ? Math.round((totalDuration._sum.duration_seconds || 0) / totalCalls)
-        : 0;
-    const successRate =
-      totalCalls > 0 ? (successfulCalls / totalCalls) * 100 : 0;
-    const avgCost = totalCalls > 0 ? (totalCost._sum.cost || 0) / totalCalls : 0;
-
     res.json({
       success: true,
       data: {
-        totalCalls,
-        totalCost: totalCost._sum.cost || 0,
-        avgCost: Math.round(avgCost * 100) / 100,
-        successfulCalls,
-        successRate: Math.round(successRate * 100) / 100,
+        ...metrics,
         totalAgents,
-        totalDurationSeconds: totalDuration._sum.duration_seconds || 0,
-        avgDurationSeconds: avgDuration,
-        callsByStatus: callsByStatus.reduce((acc, item) => {
-          acc[item.call_status] = item._count;
-          return acc;
-        }, {}),
+        ...(previousMetrics && {
+          comparison: buildOverviewComparison(
+            compareTo,
+            comparisonRange,
+            metrics,
+            previousMetrics
+          ),
+        }),
       },
     });
   })
@@ -1135,17 +1599,29 @@ router.get(
  */
 router.get(
   "/analytics/agents",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { error, value } = analyticsDateRangeSchema.validate(req.query);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
+    const range = parseDateRange(value);
     const callWhere = {};
+    const timestampFilter = buildTimestampFilter(range);
+    if (timestampFilter) {
+      callWhere.start_timestamp = timestampFilter;
+    }
+
+    const agentWhere = { status: "ACTIVE" };
+    const agentFilter = scopedAgentFilter(req, value.agentId);
+    if (agentFilter) {
+      agentWhere.agent_id = agentFilter;
+    }
 
     // Get all active agents
     const agents = await prisma.agent.findMany({
-      where: { status: "ACTIVE" },
+      where: agentWhere,
       select: {
         id: true,
         agent_id: true,
@@ -1161,6 +1637,7 @@ router.get(
         const [
           totalCalls,
           successfulCalls,
+          analyzedCalls,
           totalCost,
           totalDuration,
         ] = await Promise.all([
@@ -1168,6 +1645,9 @@ router.get(
           prisma.call.count({
             where: { ...agentCallWhere, call_successful: true },
           }),
+          prisma.call.count({
+            where: { ...agentCallWhere, call_successful: { not: null } },
+          }),
           prisma.call.aggregate({
             where: agentCallWhere,
             _sum: { cost: true },
@@ -1179,7 +1659,7 @@ router.get(
         ]);
 
         const successRate =
-          totalCalls > 0 ? (successfulCalls / totalCalls) * 100 : 0;
+          analyzedCalls > 0 ? (successfulCalls / analyzedCalls) * 100 : 0;
         const avgCost =
           totalCalls > 0 ? (totalCost._sum.cost || 0) / totalCalls : 0;
         const avgDuration =
@@ -1192,6 +1672,7 @@ router.get(
           agent_name: agent.agent_name,
           totalCalls,
           successfulCalls,
+          analyzedCalls,
           successRate: Math.round(successRate * 100) / 100,
           totalCost: totalCost._sum.cost || 0,
           avgCost: Math.round(avgCost * 100) / 100,
@@ -1214,78 +1695,62 @@ router.get(
  */
 router.get(
   "/analytics/calls",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
-    const { error, value } = analyticsDateRangeSchema.validate(req.query);
+    const { error, value } = analyticsCallsSchema.validate(req.query);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
-    const { agentId } = value;
-
-    // Build where clause
-    const where = {};
-    if (agentId) {
-      where.agent_id = agentId;
-    }
-
-    // Get daily call statistics
-    const calls = await prisma.call.findMany({
-      where,
-      select: {
-        start_timestamp: true,
-        cost: true,
-        duration_seconds: true,
-        call_successful: true,
-        call_status: true,
-      },
-    });
-
-    // Group by date
-    const dailyStats = {};
-    calls.forEach((call) => {
-      const date = new Date(Number(call.start_timestamp));
-      const dateKey = date.toISOString().split("T")[0];
-
-      if (!dailyStats[dateKey]) {
-        dailyStats[dateKey] = {
-          date: dateKey,
-          totalCalls: 0,
-          successfulCalls: 0,
-          totalCost: 0,
-          totalDuration: 0,
-        };
-      }
+    const { agentId, granularity } = value;
+    const range = parseDateRange(value);
 
-      dailyStats[dateKey].totalCalls++;
-      if (call.call_successful) {
-        dailyStats[dateKey].successfulCalls++;
-      }
-      dailyStats[dateKey].totalCost += call.cost;
-      dailyStats[dateKey].totalDuration += call.duration_seconds;
+    // Group calls into time buckets in the database
+    const buckets = await getCallBuckets({
+      granularity,
+      range,
+      agentIds: scopedAgentIds(req, agentId),
     });
 
-    // Convert to array and sort by date
-    const dailyStatsArray = Object.values(dailyStats).sort(
-      (a, b) => new Date(a.date) - new Date(b.date)
-    );
-
     // Calculate trends
-    const totalCalls = calls.length;
-    const totalCost = calls.reduce((sum, call) => sum + call.cost, 0);
-    const totalDuration = calls.reduce(
-      (sum, call) => sum + call.duration_seconds,
-      0
+    const totals = buckets.reduce(
+      (acc, bucket) => {
+        acc.totalCalls += bucket.totalCalls;
+        acc.successfulCalls += bucket.successfulCalls;
+        acc.analyzedCalls += bucket.analyzedCalls;
+        acc.totalCost += bucket.totalCost;
+        acc.totalDuration += bucket.totalDuration;
+        return acc;
+      },
+      {
+        totalCalls: 0,
+        successfulCalls: 0,
+        analyzedCalls: 0,
+        totalCost: 0,
+        totalDuration: 0,
+      }
     );
-    const successfulCalls = calls.filter((call) => call.call_successful).length;
+    const {
+      totalCalls,
+      successfulCalls,
+      analyzedCalls,
+      totalCost,
+      totalDuration,
+    } = totals;
 
     res.json({
       success: true,
       data: {
+        granularity,
+        timezone: range.timezone,
         summary: {
           totalCalls,
           successfulCalls,
+          analyzedCalls,
           successRate:
-            totalCalls > 0 ? Math.round((successfulCalls / totalCalls) * 100) : 0,
+            analyzedCalls > 0
+              ? Math.round((successfulCalls / analyzedCalls) * 100)
+              : 0,
           totalCost: Math.round(totalCost * 100) / 100,
           avgCost:
             totalCalls > 0 ? Math.round((totalCost / totalCalls) * 100) / 100 : 0,
@@ -1293,7 +1758,7 @@ router.get(
           avgDurationSeconds:
             totalCalls > 0 ? Math.round(totalDuration / totalCalls) : 0,
         },
-        dailyStats: dailyStatsArray,
+        dailyStats: buckets,
       },
     });
   })
@@ -1305,6 +1770,7 @@ router.get(
  */
 router.get(
   "/analytics/sentiment",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { error, value } = analyticsDateRangeSchema.validate(req.query);
     if (error) {
@@ -1312,104 +1778,74 @@ router.get(
     }
 
     const { agentId } = value;
+    const range = parseDateRange(value);
 
     // Build where clause
     const where = {};
-    if (agentId) {
-      where.agent_id = agentId;
+    const agentFilter = scopedAgentFilter(req, agentId);
+    if (agentFilter) {
+      where.agent_id = agentFilter;
+    }
+    const timestampFilter = buildTimestampFilter(range);
+    if (timestampFilter) {
+      where.start_timestamp = timestampFilter;
     }
-    where.user_sentiment = { not: null };
-
-    // Get sentiment distribution
-    const sentimentStats = await prisma.call.groupBy({
-      by: ["user_sentiment"],
-      where,
-      _count: true,
-    });
-
-    const totalWithSentiment = sentimentStats.reduce(
-      (sum, stat) => sum + stat._count,
-      0
-    );
-
-    const sentimentDistribution = sentimentStats.reduce((acc, stat) => {
-      acc[stat.user_sentiment] = {
-        count: stat._count,
-        percentage:
-          totalWithSentiment > 0
-            ? Math.round((stat._count / totalWithSentiment) * 100)
-            : 0,
-      };
-      return acc;
-    }, {});
 
     res.json({
       success: true,
-      data: {
-        totalCallsWithSentiment: totalWithSentiment,
-        sentimentDistribution,
-      },
+      data: await getSentimentDistribution(where),
     });
   })
 );
 
 // ============================================
-// USER MANAGEMENT APIs (Admin Only)
+// ORGANIZATION APIs
 // ============================================
 
 /**
- * GET /api/dashboard/users
- * List all users (admin only)
+ * GET /api/dashboard/organizations
+ * List all organizations (superadmin only)
  */
 router.get(
-  "/users",
-  adminMiddleware,
+  "/organizations",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
   asyncHandler(async (req, res) => {
-    const { error, value } = userListSchema.validate(req.query);
+    const { error, value } = organizationListSchema.validate(req.query);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
-    const { limit, offset, role, status, search } = value;
+    const { limit, offset, search } = value;
 
-    // Build where clause
     const where = {};
-    if (role) {
-      where.role = role;
-    }
-    if (status) {
-      where.status = status;
-    }
     if (search) {
-      where.OR = [
-        { email: { contains: search, mode: "insensitive" } },
-        { name: { contains: search, mode: "insensitive" } },
-      ];
+      where.name = { contains: search, mode: "insensitive" };
     }
 
-    const [users, totalCount] = await Promise.all([
-      prisma.user.findMany({
+    const [organizations, totalCount] = await Promise.all([
+      prisma.organization.findMany({
         where,
         orderBy: { created_at: "desc" },
         skip: offset,
         take: limit,
         select: {
           id: true,
-          email: true,
           name: true,
-          role: true,
-          status: true,
           created_at: true,
           updated_at: true,
+          _count: {
+            select: { users: true, agents: true },
+          },
         },
       }),
-      prisma.user.count({ where }),
+      prisma.organization.count({ where }),
     ]);
 
     res.json({
       success: true,
       data: {
-        users,
+        organizations,
         pagination: {
           total: totalCount,
           limit,
@@ -1422,394 +1858,2378 @@ router.get(
 );
 
 /**
- * GET /api/dashboard/users/:userId
- * Get user details (admin only)
+ * POST /api/dashboard/organizations
+ * Create an organization (superadmin only)
  */
-router.get(
-  "/users/:userId",
-  adminMiddleware,
+router.post(
+  "/organizations",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
   asyncHandler(async (req, res) => {
-    const { userId } = req.params;
-
-    if (!userId) {
-      throw new ValidationError("User ID is required");
+    const { error, value } = organizationSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
     }
 
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
+    const organization = await prisma.organization.create({
+      data: { name: value.name },
       select: {
         id: true,
-        email: true,
         name: true,
-        role: true,
-        status: true,
         created_at: true,
         updated_at: true,
       },
     });
 
-    if (!user) {
-      throw new NotFoundError(`User with ID ${userId} not found`);
+    await recordAuditEvent(req, {
+      action: "organization.create",
+      targetType: "organization",
+      targetId: organization.id,
+      organizationId: organization.id,
+      after: organization,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: organization,
+    });
+  })
+);
+
+/**
+ * GET /api/dashboard/organizations/:organizationId
+ * Get organization details (superadmin, or an admin of the organization)
+ */
+router.get(
+  "/organizations/:organizationId",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { organizationId } = req.params;
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: {
+        id: true,
+        name: true,
+        created_at: true,
+        updated_at: true,
+        _count: {
+          select: { users: true, agents: true },
+        },
+      },
+    });
+
+    if (
+      !organization ||
+      !isInCallerOrganization(req, { organization_id: organization.id })
+    ) {
+      throw new NotFoundError(`Organization with ID ${organizationId} not found`);
     }
 
     res.json({
       success: true,
-      data: user,
+      data: organization,
     });
   })
 );
 
 /**
- * PUT /api/dashboard/users/:userId
- * Update user (admin only)
+ * PUT /api/dashboard/organizations/:organizationId
+ * Rename an organization (superadmin only)
  */
 router.put(
-  "/users/:userId",
-  adminMiddleware,
+  "/organizations/:organizationId",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
   asyncHandler(async (req, res) => {
-    const { userId } = req.params;
-    const { error, value } = updateUserSchema.validate(req.body);
-
+    const { organizationId } = req.params;
+    const { error, value } = organizationSchema.validate(req.body);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
-    if (!userId) {
-      throw new ValidationError("User ID is required");
-    }
-
-    const existing = await prisma.user.findUnique({
-      where: { id: userId },
+    const existing = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { id: true, name: true },
     });
 
     if (!existing) {
-      throw new NotFoundError(`User with ID ${userId} not found`);
-    }
-
-    const isRequesterSuperAdmin = req.user.role === "SUPERADMIN";
-
-    if (existing.role === "SUPERADMIN" && !isRequesterSuperAdmin) {
-      throw new ForbiddenError("Superadmin access required");
+      throw new NotFoundError(`Organization with ID ${organizationId} not found`);
     }
 
-    if (value.role === "SUPERADMIN" && !isRequesterSuperAdmin) {
+    const organization = await prisma.organization.update({
+      where: { id: organizationId },
+      data: { name: value.name },
+      select: {
+        id: true,
+        name: true,
+        created_at: true,
+        updated_at: true,
+      },
+    });
+
+    await recordAuditEvent(req, {
+      action: "organization.update",
+      targetType: "organization",
+      targetId: organizationId,
+      organizationId,
+      before: existing,
+      after: organization,
+    });
+
+    res.json({
+      success: true,
+      data: organization,
+    });
+  })
+);
+
+/**
+ * DELETE /api/dashboard/organizations/:organizationId
+ * Delete an organization (superadmin only)
+ * Its users and agents are kept but no longer belong to any organization
+ */
+router.delete(
+  "/organizations/:organizationId",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { organizationId } = req.params;
+
+    const existing = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { id: true, name: true },
+    });
+
+    if (!existing) {
+      throw new NotFoundError(`Organization with ID ${organizationId} not found`);
+    }
+
+    await prisma.organization.delete({
+      where: { id: organizationId },
+    });
+
+    await recordAuditEvent(req, {
+      action: "organization.delete",
+      targetType: "organization",
+      targetId: organizationId,
+      organizationId,
+      before: existing,
+    });
+
+    res.json({
+      success: true,
+      message: "Organization deleted successfully",
+    });
+  })
+);
+
+// ============================================
+// USER MANAGEMENT APIs (Admin Only)
+// ============================================
+
+/**
+ * GET /api/dashboard/users
+ * List all users (admin only)
+ */
+router.get(
+  "/users",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = userListSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { limit, offset, role, status, organizationId, search } = value;
+
+    // Build where clause
+    const where = {};
+    const organizationFilter = scopedOrganizationFilter(req);
+    if (organizationFilter !== undefined) {
+      where.organization_id = organizationFilter;
+    } else if (organizationId) {
+      where.organization_id = organizationId;
+    }
+    if (role) {
+      where.role = role;
+    }
+    if (status) {
+      where.status = status;
+    }
+    if (search) {
+      where.OR = [
+        { email: { contains: search, mode: "insensitive" } },
+        { name: { contains: search, mode: "insensitive" } },
+      ];
+    }
+
+    const [users, totalCount] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        orderBy: { created_at: "desc" },
+        skip: offset,
+        take: limit,
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          role_id: true,
+          status: true,
+          organization_id: true,
+          created_at: true,
+          updated_at: true,
+        },
+      }),
+      prisma.user.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: offset + limit < totalCount,
+        },
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/dashboard/users/locked
+ * List accounts locked after failed login attempts (superadmin only)
+ */
+router.get(
+  "/users/locked",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { error, value } = lockedUsersSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { limit, offset } = value;
+    const where = lockedAccountsWhere();
+
+    const [users, totalCount] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        orderBy: { locked_until: "desc" },
+        skip: offset,
+        take: limit,
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          organization_id: true,
+          failed_login_attempts: true,
+          last_failed_login_at: true,
+          locked_until: true,
+        },
+      }),
+      prisma.user.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: offset + limit < totalCount,
+        },
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/dashboard/users/pending
+ * Registrations waiting for review, oldest first, with counts per status
+ * (superadmin only)
+ */
+router.get(
+  "/users/pending",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { error, value } = pendingUsersSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { limit, offset, search } = value;
+
+    const where = { status: "PENDING" };
+    if (search) {
+      where.OR = [
+        { email: { contains: search, mode: "insensitive" } },
+        { name: { contains: search, mode: "insensitive" } },
+      ];
+    }
+
+    const [users, totalCount, statusCounts] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        orderBy: { created_at: "asc" },
+        skip: offset,
+        take: limit,
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          status: true,
+          organization_id: true,
+          email_verified_at: true,
+          created_at: true,
+        },
+      }),
+      prisma.user.count({ where }),
+      prisma.user.groupBy({
+        by: ["status"],
+        _count: { _all: true },
+      }),
+    ]);
+
+    const counts = { PENDING: 0, APPROVED: 0, REJECTED: 0 };
+    for (const row of statusCounts) {
+      counts[row.status] = row._count._all;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        counts,
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: offset + limit < totalCount,
+        },
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/dashboard/users/:userId/unlock
+ * Clear a user's failed login attempts and lockout (superadmin only)
+ */
+router.post(
+  "/users/:userId/unlock",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        organization_id: true,
+        failed_login_attempts: true,
+        locked_until: true,
+      },
+    });
+
+    if (!existing) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: { failed_login_attempts: 0, locked_until: null },
+      select: {
+        id: true,
+        email: true,
+        failed_login_attempts: true,
+        locked_until: true,
+      },
+    });
+
+    await recordAuditEvent(req, {
+      action: "user.unlock",
+      targetType: "user",
+      targetId: userId,
+      organizationId: existing.organization_id,
+      before: existing,
+      after: updated,
+    });
+
+    res.json({
+      success: true,
+      message: "User unlocked successfully",
+      data: updated,
+    });
+  })
+);
+
+/**
+ * GET /api/dashboard/users/:userId
+ * Get user details (admin only)
+ */
+router.get(
+  "/users/:userId",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!userId) {
+      throw new ValidationError("User ID is required");
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        role_id: true,
+        status: true,
+        organization_id: true,
+        totp_enabled_at: true,
+        reviewed_by_id: true,
+        reviewed_at: true,
+        review_reason: true,
+        created_at: true,
+        updated_at: true,
+      },
+    });
+
+    if (!user || !isInCallerOrganization(req, user)) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  })
+);
+
+/**
+ * PUT /api/dashboard/users/:userId
+ * Update user (admin only)
+ */
+router.put(
+  "/users/:userId",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { error, value } = updateUserSchema.validate(req.body);
+
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    if (!userId) {
+      throw new ValidationError("User ID is required");
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!existing || !isInCallerOrganization(req, existing)) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    const isRequesterSuperAdmin = req.user.role === "SUPERADMIN";
+
+    if (existing.role === "SUPERADMIN" && !isRequesterSuperAdmin) {
+      throw new ForbiddenError("Superadmin access required");
+    }
+
+    if (value.role === "SUPERADMIN" && !isRequesterSuperAdmin) {
+      throw new ForbiddenError("Superadmin access required");
+    }
+
+    if (value.status && !isRequesterSuperAdmin) {
+      throw new ForbiddenError("Superadmin access required");
+    }
+
+    if (existing.role === "SUPERADMIN" && value.role && value.role !== "SUPERADMIN") {
+      throw new ValidationError("Cannot remove superadmin role");
+    }
+
+    if (req.user.id === userId && value.role && value.role !== req.user.role) {
+      throw new ValidationError("Cannot change your own role");
+    }
+
+    const { organizationId, roleId, ...userData } = value;
+    if (organizationId !== undefined) {
+      if (!isRequesterSuperAdmin) {
+        throw new ForbiddenError("Superadmin access required");
+      }
+      userData.organization_id = await resolveOrganizationId(
+        req,
+        organizationId
+      );
+    }
+
+    if (roleId !== undefined) {
+      if (req.user.id === userId) {
+        throw new ValidationError("Cannot change your own role");
+      }
+      if (roleId) {
+        const role = await prisma.role.findUnique({
+          where: { id: roleId },
+          select: { permissions: true },
+        });
+        if (!role) {
+          throw new ValidationError("Role not found");
+        }
+        // Admins cannot hand out more than they hold themselves
+        const grantable = role.permissions.every((permission) =>
+          hasPermission(req, permission)
+        );
+        if (!grantable) {
+          throw new ForbiddenError(
+            "Cannot assign a role with permissions you do not hold"
+          );
+        }
+      }
+      userData.role_id = roleId;
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: userData,
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        role_id: true,
+        status: true,
+        organization_id: true,
+        created_at: true,
+        updated_at: true,
+      },
+    });
+
+    // Role, status and organization are baked into access tokens, so force
+    // the user to sign in again when any of them changes. A custom role is
+    // looked up on every request and applies without signing in again.
+    const sessionInvalidated =
+      (userData.role !== undefined && userData.role !== existing.role) ||
+      (userData.status !== undefined && userData.status !== existing.status) ||
+      (userData.organization_id !== undefined &&
+        userData.organization_id !== existing.organization_id);
+    if (sessionInvalidated) {
+      await revokeUserSessions(userId);
+    }
+
+    await recordAuditEvent(req, {
+      action: "user.update",
+      targetType: "user",
+      targetId: userId,
+      organizationId: user.organization_id,
+      before: existing,
+      after: user,
+      metadata: { sessionsRevoked: sessionInvalidated },
+    });
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  })
+);
+
+const reviewSelect = {
+  id: true,
+  email: true,
+  name: true,
+  status: true,
+  reviewed_by_id: true,
+  reviewed_at: true,
+  review_reason: true,
+};
+
+/**
+ * POST /api/dashboard/users/:userId/approve
+ * Approve user (superadmin only)
+ */
+router.post(
+  "/users/:userId/approve",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { error, value } = approveUserSchema.validate(req.body || {});
+
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    if (!userId) {
+      throw new ValidationError("User ID is required");
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!existing) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    if (existing.status === "APPROVED") {
+      return res.json({
+        success: true,
+        data: {
+          id: existing.id,
+          email: existing.email,
+          status: existing.status,
+        },
+        message: "User is already approved",
+      });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        status: "APPROVED",
+        reviewed_by_id: req.user.id,
+        reviewed_at: new Date(),
+        review_reason: value.reason || null,
+      },
+      select: reviewSelect,
+    });
+
+    await recordAuditEvent(req, {
+      action: "user.approve",
+      targetType: "user",
+      targetId: userId,
+      organizationId: existing.organization_id,
+      before: existing,
+      after: updated,
+    });
+    await notifyReviewDecision(updated, "APPROVED", updated.review_reason);
+
+    res.json({ success: true, data: updated });
+  })
+);
+
+/**
+ * POST /api/dashboard/users/:userId/reject
+ * Reject user with a reason (superadmin only)
+ */
+router.post(
+  "/users/:userId/reject",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { error, value } = rejectUserSchema.validate(req.body);
+
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!existing) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    if (existing.role === "SUPERADMIN") {
+      throw new ValidationError("Cannot reject superadmin account");
+    }
+
+    if (existing.status === "REJECTED") {
+      return res.json({
+        success: true,
+        data: {
+          id: existing.id,
+          email: existing.email,
+          status: existing.status,
+          reviewed_by_id: existing.reviewed_by_id,
+          reviewed_at: existing.reviewed_at,
+          review_reason: existing.review_reason,
+        },
+        message: "User is already rejected",
+      });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        status: "REJECTED",
+        reviewed_by_id: req.user.id,
+        reviewed_at: new Date(),
+        review_reason: value.reason,
+      },
+      select: reviewSelect,
+    });
+
+    // Rejecting a previously approved user also signs them out
+    await revokeUserSessions(userId);
+
+    await recordAuditEvent(req, {
+      action: "user.reject",
+      targetType: "user",
+      targetId: userId,
+      organizationId: existing.organization_id,
+      before: existing,
+      after: updated,
+    });
+    await notifyReviewDecision(updated, "REJECTED", value.reason);
+
+    res.json({ success: true, data: updated });
+  })
+);
+
+/**
+ * DELETE /api/dashboard/users/:userId/2fa
+ * Reset a user's two-factor authentication, e.g. after losing their device
+ * and recovery codes (superadmin only)
+ */
+router.delete(
+  "/users/:userId/2fa",
+  sessionOnlyMiddleware,
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, organization_id: true, totp_enabled_at: true },
+    });
+
+    if (!existing) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        totp_secret: null,
+        totp_enabled_at: null,
+        totp_last_used_step: null,
+        totp_recovery_codes: [],
+      },
+    });
+    await revokeUserSessions(userId);
+
+    await recordAuditEvent(req, {
+      action: "user.2fa_reset",
+      targetType: "user",
+      targetId: userId,
+      organizationId: existing.organization_id,
+      before: { totp_enabled_at: existing.totp_enabled_at },
+      after: { totp_enabled_at: null },
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication reset",
+    });
+  })
+);
+
+/**
+ * DELETE /api/dashboard/users/:userId
+ * Delete user (admin only)
+ */
+router.delete(
+  "/users/:userId",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!userId) {
+      throw new ValidationError("User ID is required");
+    }
+
+    // Prevent admin from deleting themselves
+    if (req.user.id === userId) {
+      throw new ValidationError("Cannot delete your own account");
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!existing || !isInCallerOrganization(req, existing)) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    if (existing.role === "SUPERADMIN") {
+      throw new ValidationError("Cannot delete superadmin account");
+    }
+
+    // Sessions are removed with the user, which invalidates its access tokens
+    await prisma.user.delete({
+      where: { id: userId },
+    });
+
+    await recordAuditEvent(req, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: userId,
+      organizationId: existing.organization_id,
+      before: existing,
+    });
+
+    res.json({
+      success: true,
+      message: "User deleted successfully",
+    });
+  })
+);
+
+// ============================================
+// INVITATION APIs (Admin Only)
+// ============================================
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  organization_id: true,
+  agent_ids: true,
+  invited_by_id: true,
+  accepted_user_id: true,
+  expires_at: true,
+  accepted_at: true,
+  revoked_at: true,
+  created_at: true,
+};
+
+/**
+ * GET /api/dashboard/invitations
+ * List invitations (admin only)
+ */
+router.get(
+  "/invitations",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = invitationListSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { limit, offset, status, organizationId, search } = value;
+
+    const where = status ? invitationStatusWhere(status) : {};
+    const organizationFilter = scopedOrganizationFilter(req);
+    if (organizationFilter !== undefined) {
+      where.organization_id = organizationFilter;
+    } else if (organizationId) {
+      where.organization_id = organizationId;
+    }
+    if (search) {
+      where.email = { contains: search, mode: "insensitive" };
+    }
+
+    const [invitations, totalCount] = await Promise.all([
+      prisma.invitation.findMany({
+        where,
+        orderBy: { created_at: "desc" },
+        skip: offset,
+        take: limit,
+        select: invitationSelect,
+      }),
+      prisma.invitation.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map((invitation) => ({
+          ...invitation,
+          status: invitationStatus(invitation),
+        })),
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: offset + limit < totalCount,
+        },
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/dashboard/invitations
+ * Invite a user by email with a role and pre-assigned agents (admin only)
+ */
+router.post(
+  "/invitations",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = createInvitationSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { email, role, agentIds } = value;
+
+    if (role === "SUPERADMIN" && req.user.role !== "SUPERADMIN") {
       throw new ForbiddenError("Superadmin access required");
     }
 
-    if (value.status && !isRequesterSuperAdmin) {
-      throw new ForbiddenError("Superadmin access required");
+    const organizationId =
+      (await resolveOrganizationId(req, value.organizationId)) || null;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true },
+    });
+    if (existingUser) {
+      throw new ValidationError("A user with this email already exists");
+    }
+
+    if (agentIds.length > 0) {
+      const agents = await prisma.agent.findMany({
+        where: { agent_id: { in: agentIds }, organization_id: organizationId },
+        select: { agent_id: true },
+      });
+      const found = new Set(agents.map((agent) => agent.agent_id));
+      const missing = agentIds.filter((agentId) => !found.has(agentId));
+      if (missing.length > 0) {
+        throw new ValidationError(
+          `Agents not found in the organization: ${missing.join(", ")}`
+        );
+      }
+    }
+
+    const invitedBy = req.user.id
+      ? await prisma.user.findUnique({
+          where: { id: req.user.id },
+          select: { id: true, name: true, email: true },
+        })
+      : null;
+
+    const { invitation, emailSent } = await createInvitation({
+      email,
+      role,
+      organizationId,
+      agentIds,
+      invitedBy,
+    });
+
+    await recordAuditEvent(req, {
+      action: "invitation.create",
+      targetType: "invitation",
+      targetId: invitation.id,
+      organizationId,
+      after: { email, role, organization_id: organizationId, agent_ids: agentIds },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...invitation, status: invitationStatus(invitation), emailSent },
+    });
+  })
+);
+
+/**
+ * DELETE /api/dashboard/invitations/:invitationId
+ * Revoke a pending invitation (admin only)
+ */
+router.delete(
+  "/invitations/:invitationId",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { invitationId } = req.params;
+
+    const existing = await prisma.invitation.findUnique({
+      where: { id: invitationId },
+      select: invitationSelect,
+    });
+
+    if (!existing || !isInCallerOrganization(req, existing)) {
+      throw new NotFoundError(`Invitation with ID ${invitationId} not found`);
+    }
+
+    if (invitationStatus(existing) !== "PENDING") {
+      throw new ValidationError("Only pending invitations can be revoked");
+    }
+
+    const invitation = await prisma.invitation.update({
+      where: { id: invitationId },
+      data: { revoked_at: new Date() },
+      select: invitationSelect,
+    });
+
+    await recordAuditEvent(req, {
+      action: "invitation.revoke",
+      targetType: "invitation",
+      targetId: invitationId,
+      organizationId: invitation.organization_id,
+      before: { revoked_at: null },
+      after: { revoked_at: invitation.revoked_at },
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+      data: { ...invitation, status: invitationStatus(invitation) },
+    });
+  })
+);
+
+// ============================================
+// AGENT ASSIGNMENT APIs (Admin Only)
+// ============================================
+
+const assignmentSelect = {
+  user_id: true,
+  agent_id: true,
+  access_level: true,
+  expires_at: true,
+  created_at: true,
+};
+
+/**
+ * POST /api/dashboard/assignments
+ * Assign an agent to a user (admin only)
+ */
+router.post(
+  "/assignments",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = createAssignmentSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { userId, agentId, accessLevel, expiresAt } = value;
+
+    const [user, agent] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, organization_id: true },
+      }),
+      prisma.agent.findUnique({
+        where: { agent_id: agentId },
+        select: { agent_id: true, organization_id: true },
+      }),
+    ]);
+
+    if (!user || !isInCallerOrganization(req, user)) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+    if (!agent || !isInCallerOrganization(req, agent)) {
+      throw new NotFoundError(`Agent with ID ${agentId} not found`);
+    }
+    if ((user.organization_id || null) !== (agent.organization_id || null)) {
+      throw new ValidationError(
+        "User and agent belong to different organizations"
+      );
+    }
+
+    const existingAssignment = await prisma.userAgent.findUnique({
+      where: {
+        user_id_agent_id: { user_id: userId, agent_id: agentId },
+      },
+    });
+
+    if (existingAssignment) {
+      throw new ValidationError("Agent is already assigned to this user");
+    }
+
+    const assignment = await prisma.userAgent.create({
+      data: {
+        user_id: userId,
+        agent_id: agentId,
+        access_level: accessLevel,
+        expires_at: expiresAt,
+      },
+      select: assignmentSelect,
+    });
+
+    await recordAuditEvent(req, {
+      action: "assignment.create",
+      targetType: "user",
+      targetId: userId,
+      organizationId: user.organization_id,
+      metadata: {
+        agentId,
+        accessLevel,
+        expiresAt: expiresAt?.toISOString() ?? null,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: assignment,
+    });
+  })
+);
+
+/**
+ * PUT /api/dashboard/assignments
+ * Change the access level or expiry of an assignment (admin only)
+ */
+router.put(
+  "/assignments",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = updateAssignmentSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { userId, agentId, accessLevel, expiresAt } = value;
+    const pairKey = {
+      user_id_agent_id: { user_id: userId, agent_id: agentId },
+    };
+
+    const existing = await prisma.userAgent.findUnique({
+      where: pairKey,
+      select: {
+        ...assignmentSelect,
+        user: { select: { organization_id: true } },
+      },
+    });
+
+    if (!existing || !isInCallerOrganization(req, existing.user)) {
+      throw new NotFoundError("Assignment not found");
     }
 
-    if (existing.role === "SUPERADMIN" && value.role && value.role !== "SUPERADMIN") {
-      throw new ValidationError("Cannot remove superadmin role");
+    const assignment = await prisma.userAgent.update({
+      where: pairKey,
+      data: { access_level: accessLevel, expires_at: expiresAt },
+      select: assignmentSelect,
+    });
+
+    const { user, ...before } = existing;
+    await recordAuditEvent(req, {
+      action: "assignment.update",
+      targetType: "user",
+      targetId: userId,
+      organizationId: user.organization_id,
+      before,
+      after: assignment,
+      metadata: { agentId },
+    });
+
+    res.json({
+      success: true,
+      data: assignment,
+    });
+  })
+);
+
+/**
+ * DELETE /api/dashboard/assignments
+ * Unassign an agent from a user (admin only)
+ */
+router.delete(
+  "/assignments",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = agentAssignmentSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
     }
 
-    if (req.user.id === userId && value.role && value.role !== req.user.role) {
-      throw new ValidationError("Cannot change your own role");
+    const { userId, agentId } = value;
+
+    const existingAssignment = await prisma.userAgent.findUnique({
+      where: {
+        user_id_agent_id: { user_id: userId, agent_id: agentId },
+      },
+      select: {
+        user: { select: { organization_id: true } },
+      },
+    });
+
+    if (
+      !existingAssignment ||
+      !isInCallerOrganization(req, existingAssignment.user)
+    ) {
+      throw new NotFoundError("Assignment not found");
+    }
+
+    await prisma.userAgent.delete({
+      where: {
+        user_id_agent_id: { user_id: userId, agent_id: agentId },
+      },
+    });
+
+    await recordAuditEvent(req, {
+      action: "assignment.delete",
+      targetType: "user",
+      targetId: userId,
+      organizationId: existingAssignment.user.organization_id,
+      metadata: { agentId },
+    });
+
+    res.json({
+      success: true,
+      message: "Agent unassigned successfully",
+    });
+  })
+);
+
+/**
+ * Load the users and agents of an assignment change, checking that every
+ * one of them exists and is visible to the caller
+ * @param {Object} req - Express request
+ * @param {string[]} userIds - User IDs
+ * @param {string[]} agentIds - Agent IDs
+ * @returns {Promise<{users: Object[], agents: Object[]}>}
+ */
+const loadAssignmentTargets = async (req, userIds, agentIds) => {
+  const [users, agents] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, organization_id: true },
+    }),
+    prisma.agent.findMany({
+      where: { agent_id: { in: agentIds } },
+      select: { agent_id: true, organization_id: true },
+    }),
+  ]);
+
+  const visibleUserIds = new Set(
+    users
+      .filter((user) => isInCallerOrganization(req, user))
+      .map((user) => user.id)
+  );
+  const missingUserId = userIds.find((userId) => !visibleUserIds.has(userId));
+  if (missingUserId) {
+    throw new NotFoundError(`User with ID ${missingUserId} not found`);
+  }
+
+  const visibleAgentIds = new Set(
+    agents
+      .filter((agent) => isInCallerOrganization(req, agent))
+      .map((agent) => agent.agent_id)
+  );
+  const missingAgentId = agentIds.find(
+    (agentId) => !visibleAgentIds.has(agentId)
+  );
+  if (missingAgentId) {
+    throw new NotFoundError(`Agent with ID ${missingAgentId} not found`);
+  }
+
+  return { users, agents };
+};
+
+/**
+ * Throw unless every agent belongs to the user's organization
+ * @param {Object} user - User with organization_id
+ * @param {Object[]} agents - Agents with agent_id and organization_id
+ */
+const assertSameOrganization = (user, agents) => {
+  const foreign = agents.find(
+    (agent) =>
+      (agent.organization_id || null) !== (user.organization_id || null)
+  );
+  if (foreign) {
+    throw new ValidationError(
+      `User ${user.id} and agent ${foreign.agent_id} belong to different organizations`
+    );
+  }
+};
+
+/**
+ * Columns of an assignment row for a new pair, with the defaults for what
+ * the request leaves out
+ * @param {Object} value - Validated request with accessLevel and expiresAt
+ * @returns {Object}
+ */
+const newAssignmentAccess = ({ accessLevel, expiresAt }) => ({
+  access_level: accessLevel ?? DEFAULT_ACCESS_LEVEL,
+  expires_at: expiresAt ?? null,
+});
+
+/**
+ * Columns to change on pairs that are already assigned: only those the
+ * request sets
+ * @param {Object} value - Validated request with accessLevel and expiresAt
+ * @returns {Object}
+ */
+const assignmentAccessChanges = ({ accessLevel, expiresAt }) => ({
+  ...(accessLevel !== undefined && { access_level: accessLevel }),
+  ...(expiresAt !== undefined && { expires_at: expiresAt }),
+});
+
+/**
+ * Whether applying changes from assignmentAccessChanges alters an assignment
+ * @param {Object} assignment - Row with access_level and expires_at
+ * @param {Object} changes - Columns to change
+ * @returns {boolean}
+ */
+const changesAssignment = (assignment, changes) =>
+  ("access_level" in changes &&
+    assignment.access_level !== changes.access_level) ||
+  ("expires_at" in changes &&
+    (assignment.expires_at?.getTime() ?? null) !==
+      (changes.expires_at?.getTime() ?? null));
+
+/**
+ * Access settings a request sets, for audit metadata and responses
+ * @param {Object} value - Validated request with accessLevel and expiresAt
+ * @returns {Object}
+ */
+const requestedAssignmentAccess = ({ accessLevel, expiresAt }) => ({
+  ...(accessLevel !== undefined && { accessLevel }),
+  ...(expiresAt !== undefined && {
+    expiresAt: expiresAt?.toISOString() ?? null,
+  }),
+});
+
+/**
+ * POST /api/dashboard/assignments/bulk
+ * Assign or unassign many agents to or from many users in one transaction
+ * (admin only). Existing assignments are skipped when assigning and missing
+ * ones when unassigning, so the request can be safely repeated; when
+ * assigning, they only take the accessLevel and expiresAt the request sets.
+ */
+router.post(
+  "/assignments/bulk",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = bulkAssignmentSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { action, userIds, agentIds } = value;
+    const changes = assignmentAccessChanges(value);
+    const { users, agents } = await loadAssignmentTargets(
+      req,
+      userIds,
+      agentIds
+    );
+    if (action === "assign") {
+      users.forEach((user) => assertSameOrganization(user, agents));
+    }
+
+    const pairWhere = {
+      user_id: { in: userIds },
+      agent_id: { in: agentIds },
+    };
+
+    const { changed, updated } = await prisma.$transaction(async (tx) => {
+      const existing = await tx.userAgent.findMany({
+        where: pairWhere,
+        select: {
+          user_id: true,
+          agent_id: true,
+          access_level: true,
+          expires_at: true,
+        },
+      });
+
+      if (action === "unassign") {
+        await tx.userAgent.deleteMany({ where: pairWhere });
+        return { changed: existing, updated: [] };
+      }
+
+      // Pairs that are already assigned take the level and expiry the
+      // request sets, if any
+      const existingPairs = new Set(
+        existing.map((pair) => `${pair.user_id}:${pair.agent_id}`)
+      );
+      const outdated = existing.filter((pair) =>
+        changesAssignment(pair, changes)
+      );
+      if (outdated.length > 0) {
+        await tx.userAgent.updateMany({ where: pairWhere, data: changes });
+      }
+
+      const added = userIds.flatMap((userId) =>
+        agentIds
+          .filter((agentId) => !existingPairs.has(`${userId}:${agentId}`))
+          .map((agentId) => ({
+            user_id: userId,
+            agent_id: agentId,
+            ...newAssignmentAccess(value),
+          }))
+      );
+      await tx.userAgent.createMany({ data: added, skipDuplicates: true });
+      return { changed: added, updated: outdated };
+    });
+
+    const organizationByUser = new Map(
+      users.map((user) => [user.id, user.organization_id])
+    );
+    const agentIdsOf = (pairs, userId) =>
+      pairs
+        .filter((pair) => pair.user_id === userId)
+        .map((pair) => pair.agent_id);
+    for (const userId of userIds) {
+      const changedAgentIds = agentIdsOf(changed, userId);
+      const updatedAgentIds = agentIdsOf(updated, userId);
+      if (changedAgentIds.length > 0 || updatedAgentIds.length > 0) {
+        await recordAuditEvent(req, {
+          action:
+            action === "assign"
+              ? "assignment.bulk_create"
+              : "assignment.bulk_delete",
+          targetType: "user",
+          targetId: userId,
+          organizationId: organizationByUser.get(userId),
+          metadata:
+            action === "assign"
+              ? {
+                  agentIds: changedAgentIds,
+                  updatedAgentIds,
+                  ...requestedAssignmentAccess(value),
+                }
+              : { agentIds: changedAgentIds },
+        });
+      }
+    }
+
+    const toPairs = (pairs) =>
+      pairs.map((pair) => ({ userId: pair.user_id, agentId: pair.agent_id }));
+
+    res.json({
+      success: true,
+      data: {
+        action,
+        [action === "assign" ? "assigned" : "unassigned"]: toPairs(changed),
+        ...(action === "assign" && { updated: toPairs(updated) }),
+        unchanged:
+          userIds.length * agentIds.length - changed.length - updated.length,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/dashboard/users/:userId/agents
+ * List agents assigned to a user (admin only)
+ */
+router.get(
+  "/users/:userId/agents",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!userId) {
+      throw new ValidationError("User ID is required");
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, organization_id: true },
+    });
+
+    if (!user || !isInCallerOrganization(req, user)) {
+      throw new NotFoundError(`User with ID ${userId} not found`);
+    }
+
+    const assignments = await prisma.userAgent.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: "desc" },
+      select: {
+        access_level: true,
+        expires_at: true,
+        created_at: true,
+        agent: {
+          select: {
+            agent_id: true,
+            agent_name: true,
+            status: true,
+            organization_id: true,
+            created_at: true,
+            updated_at: true,
+          },
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: assignments,
+    });
+  })
+);
+
+/**
+ * PUT /api/dashboard/users/:userId/agents
+ * Replace the full set of agents assigned to a user (admin only)
+ */
+router.put(
+  "/users/:userId/agents",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { error, value } = replaceUserAgentsSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { agentIds } = value;
+    const changes = assignmentAccessChanges(value);
+    const {
+      users: [user],
+      agents,
+    } = await loadAssignmentTargets(req, [userId], agentIds);
+    assertSameOrganization(user, agents);
+
+    const { added, removed, updated } = await prisma.$transaction(
+      async (tx) => {
+        const current = await tx.userAgent.findMany({
+          where: { user_id: userId },
+          select: { agent_id: true, access_level: true, expires_at: true },
+        });
+        const currentIds = current.map((assignment) => assignment.agent_id);
+
+        const toAdd = agentIds.filter(
+          (agentId) => !currentIds.includes(agentId)
+        );
+        const toRemove = currentIds.filter(
+          (agentId) => !agentIds.includes(agentId)
+        );
+        // Agents that stay assigned only take the level and expiry the
+        // request sets, if any
+        const toUpdate = current
+          .filter(
+            (assignment) =>
+              agentIds.includes(assignment.agent_id) &&
+              changesAssignment(assignment, changes)
+          )
+          .map((assignment) => assignment.agent_id);
+
+        await tx.userAgent.deleteMany({
+          where: { user_id: userId, agent_id: { in: toRemove } },
+        });
+        if (toUpdate.length > 0) {
+          await tx.userAgent.updateMany({
+            where: { user_id: userId, agent_id: { in: toUpdate } },
+            data: changes,
+          });
+        }
+        await tx.userAgent.createMany({
+          data: toAdd.map((agentId) => ({
+            user_id: userId,
+            agent_id: agentId,
+            ...newAssignmentAccess(value),
+          })),
+          skipDuplicates: true,
+        });
+
+        return { added: toAdd, removed: toRemove, updated: toUpdate };
+      }
+    );
+
+    if (added.length > 0 || removed.length > 0 || updated.length > 0) {
+      await recordAuditEvent(req, {
+        action: "assignment.replace",
+        targetType: "user",
+        targetId: userId,
+        organizationId: user.organization_id,
+        metadata: {
+          added,
+          removed,
+          updated,
+          ...requestedAssignmentAccess(value),
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        agentIds,
+        ...requestedAssignmentAccess(value),
+        added,
+        removed,
+        updated,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/dashboard/agents/:agentId/users
+ * List users assigned to an agent (admin only)
+ */
+router.get(
+  "/agents/:agentId/users",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const { agentId } = req.params;
+
+    if (!agentId) {
+      throw new ValidationError("Agent ID is required");
+    }
+
+    const agent = await prisma.agent.findUnique({
+      where: { agent_id: agentId },
+      select: { agent_id: true, organization_id: true },
+    });
+
+    if (!agent || !isInCallerOrganization(req, agent)) {
+      throw new NotFoundError(`Agent with ID ${agentId} not found`);
     }
 
-    const user = await prisma.user.update({
-      where: { id: userId },
-      data: value,
+    const assignments = await prisma.userAgent.findMany({
+      where: { agent_id: agentId },
+      orderBy: { created_at: "desc" },
+      select: {
+        access_level: true,
+        expires_at: true,
+        created_at: true,
+        user: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            role: true,
+            created_at: true,
+            updated_at: true,
+          },
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: assignments,
+    });
+  })
+);
+
+// ============================================
+// ROLE APIs
+// ============================================
+
+const roleSelect = {
+  id: true,
+  name: true,
+  description: true,
+  permissions: true,
+  is_system: true,
+  created_at: true,
+  updated_at: true,
+};
+
+/**
+ * GET /api/dashboard/roles
+ * List roles and the permissions they grant (admin only)
+ */
+router.get(
+  "/roles",
+  requirePermission("users:manage"),
+  asyncHandler(async (req, res) => {
+    const roles = await prisma.role.findMany({
+      orderBy: [{ is_system: "desc" }, { name: "asc" }],
       select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        created_at: true,
-        updated_at: true,
+        ...roleSelect,
+        _count: {
+          select: { users: true },
+        },
       },
     });
 
     res.json({
       success: true,
-      data: user,
+      data: {
+        roles,
+        permissions: PERMISSIONS,
+      },
     });
   })
 );
 
 /**
- * POST /api/dashboard/users/:userId/approve
- * Approve user (superadmin only)
+ * POST /api/dashboard/roles
+ * Create a custom role (superadmin only)
  */
 router.post(
-  "/users/:userId/approve",
+  "/roles",
+  requirePermission("users:manage"),
   superAdminMiddleware,
   asyncHandler(async (req, res) => {
-    const { userId } = req.params;
+    const { error, value } = roleSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
 
-    if (!userId) {
-      throw new ValidationError("User ID is required");
+    const existing = await prisma.role.findUnique({
+      where: { name: value.name },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new ValidationError("A role with this name already exists");
     }
 
-    const existing = await prisma.user.findUnique({
-      where: { id: userId },
+    const role = await prisma.role.create({
+      data: {
+        name: value.name,
+        description: value.description || null,
+        permissions: value.permissions,
+      },
+      select: roleSelect,
+    });
+    invalidateRoleCache();
+
+    await recordAuditEvent(req, {
+      action: "role.create",
+      targetType: "role",
+      targetId: role.id,
+      after: role,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role,
     });
+  })
+);
+
+/**
+ * PUT /api/dashboard/roles/:roleId
+ * Update a role's description or permissions (superadmin only)
+ * Built-in roles keep their name
+ */
+router.put(
+  "/roles/:roleId",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { roleId } = req.params;
+    const { error, value } = updateRoleSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
 
+    const existing = await prisma.role.findUnique({
+      where: { id: roleId },
+      select: roleSelect,
+    });
     if (!existing) {
-      throw new NotFoundError(`User with ID ${userId} not found`);
+      throw new NotFoundError(`Role with ID ${roleId} not found`);
     }
 
-    if (existing.status === "APPROVED") {
-      return res.json({
-        success: true,
-        data: {
-          id: existing.id,
-          email: existing.email,
-          status: existing.status,
-        },
-        message: "User is already approved",
+    if (value.name !== undefined && value.name !== existing.name) {
+      if (existing.is_system) {
+        throw new ValidationError("Built-in roles cannot be renamed");
+      }
+      const duplicate = await prisma.role.findUnique({
+        where: { name: value.name },
+        select: { id: true },
       });
+      if (duplicate) {
+        throw new ValidationError("A role with this name already exists");
+      }
     }
 
-    const updated = await prisma.user.update({
-      where: { id: userId },
-      data: { status: "APPROVED" },
-      select: {
-        id: true,
-        email: true,
-        status: true,
+    const role = await prisma.role.update({
+      where: { id: roleId },
+      data: {
+        name: value.name,
+        description:
+          value.description !== undefined ? value.description || null : undefined,
+        permissions: value.permissions,
       },
+      select: roleSelect,
+    });
+    invalidateRoleCache();
+
+    await recordAuditEvent(req, {
+      action: "role.update",
+      targetType: "role",
+      targetId: roleId,
+      before: existing,
+      after: role,
     });
 
-    res.json({ success: true, data: updated });
+    res.json({
+      success: true,
+      data: role,
+    });
   })
 );
 
 /**
- * DELETE /api/dashboard/users/:userId
- * Delete user (admin only)
+ * DELETE /api/dashboard/roles/:roleId
+ * Delete a custom role (superadmin only)
+ * Its users fall back to the built-in role for their tier
  */
 router.delete(
-  "/users/:userId",
-  adminMiddleware,
+  "/roles/:roleId",
+  requirePermission("users:manage"),
+  superAdminMiddleware,
   asyncHandler(async (req, res) => {
-    const { userId } = req.params;
-
-    if (!userId) {
-      throw new ValidationError("User ID is required");
-    }
-
-    // Prevent admin from deleting themselves
-    if (req.user.id === userId) {
-      throw new ValidationError("Cannot delete your own account");
-    }
+    const { roleId } = req.params;
 
-    const existing = await prisma.user.findUnique({
-      where: { id: userId },
+    const existing = await prisma.role.findUnique({
+      where: { id: roleId },
+      select: roleSelect,
     });
-
     if (!existing) {
-      throw new NotFoundError(`User with ID ${userId} not found`);
+      throw new NotFoundError(`Role with ID ${roleId} not found`);
     }
-
-    if (existing.role === "SUPERADMIN") {
-      throw new ValidationError("Cannot delete superadmin account");
+    if (existing.is_system) {
+      throw new ValidationError("Built-in roles cannot be deleted");
     }
 
-    await prisma.user.delete({
-      where: { id: userId },
+    await prisma.role.delete({
+      where: { id: roleId },
+    });
+    invalidateRoleCache();
+
+    await recordAuditEvent(req, {
+      action: "role.delete",
+      targetType: "role",
+      targetId: roleId,
+      before: existing,
     });
 
     res.json({
       success: true,
-      message: "User deleted successfully",
+      message: "Role deleted successfully",
     });
   })
 );
 
 // ============================================
-// AGENT ASSIGNMENT APIs (Admin Only)
+// API KEY APIs
 // ============================================
 
 /**
- * POST /api/dashboard/assignments
- * Assign an agent to a user (admin only)
+ * GET /api/dashboard/api-keys
+ * List API keys the caller may manage
  */
-router.post(
-  "/assignments",
-  adminMiddleware,
+router.get(
+  "/api-keys",
+  sessionOnlyMiddleware,
   asyncHandler(async (req, res) => {
-    const { error, value } = agentAssignmentSchema.validate(req.body);
+    const { error, value } = apiKeyListSchema.validate(req.query);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
-    const { userId, agentId } = value;
+    const { limit, offset, userId, organizationId, includeRevoked } = value;
 
-    const [user, agent] = await Promise.all([
-      prisma.user.findUnique({ where: { id: userId }, select: { id: true } }),
-      prisma.agent.findUnique({
-        where: { agent_id: agentId },
-        select: { agent_id: true },
+    const where = { AND: [apiKeyAccessWhere(req)] };
+    if (userId) {
+      where.AND.push({ user_id: userId });
+    }
+    if (organizationId) {
+      where.AND.push({ organization_id: organizationId });
+    }
+    if (!includeRevoked) {
+      where.AND.push({ revoked_at: null });
+    }
+
+    const [apiKeys, totalCount] = await Promise.all([
+      prisma.apiKey.findMany({
+        where,
+        orderBy: { created_at: "desc" },
+        skip: offset,
+        take: limit,
+        select: apiKeySelect,
       }),
+      prisma.apiKey.count({ where }),
     ]);
 
-    if (!user) {
-      throw new NotFoundError(`User with ID ${userId} not found`);
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: offset + limit < totalCount,
+        },
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/dashboard/api-keys
+ * Create an API key for the caller, another user (admin only) or an
+ * organization (admin only). The key is only returned in this response.
+ */
+router.post(
+  "/api-keys",
+  sessionOnlyMiddleware,
+  asyncHandler(async (req, res) => {
+    const { error, value } = createApiKeySchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
     }
-    if (!agent) {
-      throw new NotFoundError(`Agent with ID ${agentId} not found`);
+
+    const { name, scopes, expiresAt } = value;
+    const ungranted = scopes.filter((scope) => !hasPermission(req, scope));
+    if (ungranted.length > 0) {
+      throw new ForbiddenError(
+        `Cannot grant permissions you do not hold: ${ungranted.join(", ")}`
+      );
     }
 
-    const existingAssignment = await prisma.userAgent.findUnique({
-      where: {
-        user_id_agent_id: { user_id: userId, agent_id: agentId },
-      },
-    });
+    const isAdmin = ["ADMIN", "SUPERADMIN"].includes(req.user.role);
+    let userId = null;
+    let organizationId = null;
+    let ownerOrganizationId = req.user.organizationId || null;
 
-    if (existingAssignment) {
-      throw new ValidationError("Agent is already assigned to this user");
+    if (value.organizationId) {
+      if (!isAdmin) {
+        throw new ForbiddenError("Admin access required");
+      }
+      organizationId = await resolveOrganizationId(req, value.organizationId);
+      ownerOrganizationId = organizationId;
+    } else if (value.userId && value.userId !== req.user.id) {
+      if (!isAdmin) {
+        throw new ForbiddenError("Admin access required");
+      }
+      const user = await prisma.user.findUnique({
+        where: { id: value.userId },
+        select: { id: true, organization_id: true },
+      });
+      if (!user || !isInCallerOrganization(req, user)) {
+        throw new NotFoundError(`User with ID ${value.userId} not found`);
+      }
+      userId = user.id;
+      ownerOrganizationId = user.organization_id;
+    } else {
+      userId = req.user.id;
     }
 
-    const assignment = await prisma.userAgent.create({
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await prisma.apiKey.create({
       data: {
+        name,
+        prefix,
+        key_hash: keyHash,
+        scopes,
         user_id: userId,
-        agent_id: agentId,
-      },
-      select: {
-        user_id: true,
-        agent_id: true,
-        created_at: true,
+        organization_id: organizationId,
+        created_by_id: req.user.id,
+        expires_at: expiresAt || null,
       },
+      select: apiKeySelect,
+    });
+
+    await recordAuditEvent(req, {
+      action: "api_key.create",
+      targetType: "api_key",
+      targetId: apiKey.id,
+      organizationId: ownerOrganizationId,
+      after: apiKey,
     });
 
     res.status(201).json({
       success: true,
-      data: assignment,
+      data: { ...apiKey, key },
+      message: "Store this key now; it cannot be shown again.",
     });
   })
 );
 
 /**
- * DELETE /api/dashboard/assignments
- * Unassign an agent from a user (admin only)
+ * DELETE /api/dashboard/api-keys/:keyId
+ * Revoke an API key
  */
 router.delete(
-  "/assignments",
-  adminMiddleware,
+  "/api-keys/:keyId",
+  sessionOnlyMiddleware,
   asyncHandler(async (req, res) => {
-    const { error, value } = agentAssignmentSchema.validate(req.body);
+    const { keyId } = req.params;
+
+    const existing = await prisma.apiKey.findFirst({
+      where: { AND: [{ id: keyId }, apiKeyAccessWhere(req)] },
+      select: {
+        id: true,
+        revoked_at: true,
+        organization_id: true,
+        user: { select: { organization_id: true } },
+      },
+    });
+
+    if (!existing) {
+      throw new NotFoundError(`API key with ID ${keyId} not found`);
+    }
+
+    const apiKey = existing.revoked_at
+      ? await prisma.apiKey.findUnique({
+          where: { id: keyId },
+          select: apiKeySelect,
+        })
+      : await prisma.apiKey.update({
+          where: { id: keyId },
+          data: { revoked_at: new Date() },
+          select: apiKeySelect,
+        });
+
+    if (!existing.revoked_at) {
+      await recordAuditEvent(req, {
+        action: "api_key.revoke",
+        targetType: "api_key",
+        targetId: keyId,
+        organizationId:
+          existing.organization_id || existing.user?.organization_id || null,
+        before: { revoked_at: null },
+        after: { revoked_at: apiKey.revoked_at },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+      data: apiKey,
+    });
+  })
+);
+
+// ============================================
+// REPORT SUBSCRIPTION APIs
+// ============================================
+
+const reportSubscriptionSelect = {
+  id: true,
+  agent_ids: true,
+  frequency: true,
+  timezone: true,
+  send_hour: true,
+  include_csv: true,
+  enabled: true,
+  next_run_at: true,
+  last_sent_at: true,
+  last_error: true,
+  created_at: true,
+  updated_at: true,
+};
+
+/**
+ * Check the options of a new or updated report subscription against what
+ * the caller may read
+ * @param {Object} req - Express request
+ * @param {Object} value - Validated body
+ */
+const assertReportSubscriptionAccess = (req, { agentIds, includeCsv }) => {
+  for (const agentId of agentIds || []) {
+    assertAgentAccess(req, agentId);
+  }
+  if (includeCsv && !hasPermission(req, "calls:export")) {
+    throw new ForbiddenError("CSV attachments require calls:export");
+  }
+};
+
+/**
+ * Find one of the caller's report subscriptions
+ * @param {Object} req - Express request
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>}
+ */
+const findOwnReportSubscription = async (req, subscriptionId) => {
+  const subscription = await prisma.reportSubscription.findFirst({
+    where: { id: subscriptionId, user_id: req.user.id },
+    select: {
+      ...reportSubscriptionSelect,
+      user: { select: reportUserSelect },
+    },
+  });
+  if (!subscription) {
+    throw new NotFoundError(
+      `Report subscription with ID ${subscriptionId} not found`
+    );
+  }
+  return subscription;
+};
+
+/**
+ * GET /api/dashboard/report-subscriptions
+ * List the caller's scheduled email reports
+ */
+router.get(
+  "/report-subscriptions",
+  sessionOnlyMiddleware,
+  requirePermission("calls:read"),
+  asyncHandler(async (req, res) => {
+    const subscriptions = await prisma.reportSubscription.findMany({
+      where: { user_id: req.user.id },
+      orderBy: { created_at: "asc" },
+      select: reportSubscriptionSelect,
+    });
+
+    res.json({
+      success: true,
+      data: subscriptions,
+    });
+  })
+);
+
+/**
+ * POST /api/dashboard/report-subscriptions
+ * Subscribe the caller to a daily, weekly or monthly email report
+ */
+router.post(
+  "/report-subscriptions",
+  sessionOnlyMiddleware,
+  requirePermission("calls:read"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = createReportSubscriptionSchema.validate(req.body);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
+    assertReportSubscriptionAccess(req, value);
 
-    const { userId, agentId } = value;
+    const existingCount = await prisma.reportSubscription.count({
+      where: { user_id: req.user.id },
+    });
+    if (existingCount >= MAX_REPORT_SUBSCRIPTIONS) {
+      throw new ValidationError(
+        `At most ${MAX_REPORT_SUBSCRIPTIONS} report subscriptions are allowed`
+      );
+    }
 
-    const existingAssignment = await prisma.userAgent.findUnique({
-      where: {
-        user_id_agent_id: { user_id: userId, agent_id: agentId },
+    const { frequency, agentIds, timezone, sendHour, includeCsv, enabled } =
+      value;
+    const data = {
+      frequency,
+      agent_ids: agentIds,
+      timezone,
+      send_hour: sendHour,
+      include_csv: includeCsv,
+      enabled,
+    };
+    const subscription = await prisma.reportSubscription.create({
+      data: {
+        ...data,
+        user_id: req.user.id,
+        next_run_at: getNextReportRun(data),
       },
+      select: reportSubscriptionSelect,
     });
 
-    if (!existingAssignment) {
-      throw new NotFoundError("Assignment not found");
+    await recordAuditEvent(req, {
+      action: "report_subscription.create",
+      targetType: "report_subscription",
+      targetId: subscription.id,
+      organizationId: req.user.organizationId || null,
+      after: subscription,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+    });
+  })
+);
+
+/**
+ * PUT /api/dashboard/report-subscriptions/:subscriptionId
+ * Change a report subscription; its next delivery is rescheduled
+ */
+router.put(
+  "/report-subscriptions/:subscriptionId",
+  sessionOnlyMiddleware,
+  requirePermission("calls:read"),
+  asyncHandler(async (req, res) => {
+    const { error, value } = updateReportSubscriptionSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
     }
+    assertReportSubscriptionAccess(req, value);
 
-    await prisma.userAgent.delete({
-      where: {
-        user_id_agent_id: { user_id: userId, agent_id: agentId },
+    const { user, ...existing } = await findOwnReportSubscription(
+      req,
+      req.params.subscriptionId
+    );
+
+    const data = {
+      ...(value.frequency !== undefined && { frequency: value.frequency }),
+      ...(value.agentIds !== undefined && { agent_ids: value.agentIds }),
+      ...(value.timezone !== undefined && { timezone: value.timezone }),
+      ...(value.sendHour !== undefined && { send_hour: value.sendHour }),
+      ...(value.includeCsv !== undefined && { include_csv: value.includeCsv }),
+      ...(value.enabled !== undefined && { enabled: value.enabled }),
+    };
+    const subscription = await prisma.reportSubscription.update({
+      where: { id: existing.id },
+      data: {
+        ...data,
+        next_run_at: getNextReportRun({ ...existing, ...data }),
       },
+      select: reportSubscriptionSelect,
+    });
+
+    await recordAuditEvent(req, {
+      action: "report_subscription.update",
+      targetType: "report_subscription",
+      targetId: subscription.id,
+      organizationId: user.organization_id,
+      before: existing,
+      after: subscription,
     });
 
     res.json({
       success: true,
-      message: "Agent unassigned successfully",
+      data: subscription,
     });
   })
 );
 
 /**
- * GET /api/dashboard/users/:userId/agents
- * List agents assigned to a user (admin only)
+ * DELETE /api/dashboard/report-subscriptions/:subscriptionId
+ * Unsubscribe from a report
  */
-router.get(
-  "/users/:userId/agents",
-  adminMiddleware,
+router.delete(
+  "/report-subscriptions/:subscriptionId",
+  sessionOnlyMiddleware,
   asyncHandler(async (req, res) => {
-    const { userId } = req.params;
+    const { user, ...existing } = await findOwnReportSubscription(
+      req,
+      req.params.subscriptionId
+    );
 
-    if (!userId) {
-      throw new ValidationError("User ID is required");
-    }
+    await prisma.reportSubscription.delete({ where: { id: existing.id } });
 
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { id: true },
+    await recordAuditEvent(req, {
+      action: "report_subscription.delete",
+      targetType: "report_subscription",
+      targetId: existing.id,
+      organizationId: user.organization_id,
+      before: existing,
     });
 
-    if (!user) {
-      throw new NotFoundError(`User with ID ${userId} not found`);
+    res.json({
+      success: true,
+      message: "Report subscription deleted successfully",
+    });
+  })
+);
+
+/**
+ * POST /api/dashboard/report-subscriptions/:subscriptionId/send
+ * Email the report for the last complete period now, e.g. to preview it.
+ * The schedule is not changed.
+ */
+router.post(
+  "/report-subscriptions/:subscriptionId/send",
+  sessionOnlyMiddleware,
+  requirePermission("calls:read"),
+  asyncHandler(async (req, res) => {
+    const subscription = await findOwnReportSubscription(
+      req,
+      req.params.subscriptionId
+    );
+
+    let period;
+    try {
+      period = await sendReport(subscription);
+    } catch (sendError) {
+      logger.error("Failed to send report", {
+        subscriptionId: subscription.id,
+        error: sendError.message,
+      });
+      throw new AppError("Failed to send report", 502);
     }
 
-    const assignments = await prisma.userAgent.findMany({
-      where: { user_id: userId },
-      orderBy: { created_at: "desc" },
-      select: {
-        created_at: true,
-        agent: {
-          select: {
-            agent_id: true,
-            agent_name: true,
-            status: true,
-            created_at: true,
-            updated_at: true,
-          },
-        },
-      },
+    await prisma.reportSubscription.update({
+      where: { id: subscription.id },
+      data: { last_sent_at: new Date(), last_error: null },
     });
 
     res.json({
       success: true,
-      data: assignments,
+      message: `Report sent to ${subscription.user.email}`,
+      data: period,
     });
   })
 );
 
+// ============================================
+// AUDIT APIs (Superadmin Only)
+// ============================================
+
 /**
- * GET /api/dashboard/agents/:agentId/users
- * List users assigned to an agent (admin only)
+ * GET /api/dashboard/audit-events
+ * List audit events, newest first (superadmin only)
  */
 router.get(
-  "/agents/:agentId/users",
-  adminMiddleware,
+  "/audit-events",
+  sessionOnlyMiddleware,
+  superAdminMiddleware,
   asyncHandler(async (req, res) => {
-    const { agentId } = req.params;
-
-    if (!agentId) {
-      throw new ValidationError("Agent ID is required");
+    const { error, value } = auditEventListSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
     }
 
-    const agent = await prisma.agent.findUnique({
-      where: { agent_id: agentId },
-      select: { agent_id: true },
-    });
+    const {
+      limit,
+      offset,
+      actorUserId,
+      actorType,
+      action,
+      targetType,
+      targetId,
+      organizationId,
+    } = value;
+    const range = resolveDateRange(value);
 
-    if (!agent) {
-      throw new NotFoundError(`Agent with ID ${agentId} not found`);
+    const where = {};
+    if (actorUserId) {
+      where.actor_user_id = actorUserId;
+    }
+    if (actorType) {
+      where.actor_type = actorType;
+    }
+    // "user." matches every user action
+    if (action) {
+      where.action = action.endsWith(".") ? { startsWith: action } : action;
+    }
+    if (targetType) {
+      where.target_type = targetType;
+    }
+    if (targetId) {
+      where.target_id = targetId;
+    }
+    if (organizationId) {
+      where.organization_id = organizationId;
+    }
+    if (range.start !== null || range.end !== null) {
+      where.created_at = {
+        ...(range.start !== null && { gte: new Date(range.start) }),
+        ...(range.end !== null && { lt: new Date(range.end) }),
+      };
     }
 
-    const assignments = await prisma.userAgent.findMany({
-      where: { agent_id: agentId },
-      orderBy: { created_at: "desc" },
-      select: {
-        created_at: true,
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true,
-            role: true,
-            created_at: true,
-            updated_at: true,
-          },
-        },
-      },
-    });
+    const [events, totalCount] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: { created_at: "desc" },
+        skip: offset,
+        take: limit,
+      }),
+      prisma.auditEvent.count({ where }),
+    ]);
 
     res.json({
       success: true,
-      data: assignments,
+      data: {
+        events,
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: offset + limit < totalCount,
+        },
+      },
     });
   })
 );
@@ -1824,29 +4244,41 @@ router.get(
  */
 router.get(
   "/stats",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
-    const isUserScoped = req.user?.role === "USER";
-    let assignedAgentIds = null;
-    if (isUserScoped) {
-      assignedAgentIds = await getAssignedAgentIds(req.user.id);
-      if (assignedAgentIds.length === 0) {
-        return res.json({
-          success: true,
-          data: {
-            agents: {
-              total: 0,
-              active: 0,
-              inactive: 0,
-            },
-            calls: {
-              total: 0,
-            },
-            cost: {
-              total: 0,
-            },
+    const { error, value } = statsSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const range = parseDateRange(value);
+    const assignedAgentIds = req.agentScope.agentIds;
+    if (assignedAgentIds && assignedAgentIds.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          agents: {
+            total: 0,
+            active: 0,
+            inactive: 0,
           },
-        });
-      }
+          calls: {
+            total: 0,
+          },
+          cost: {
+            total: 0,
+          },
+        },
+      });
+    }
+
+    const callWhere = {};
+    if (assignedAgentIds) {
+      callWhere.agent_id = { in: assignedAgentIds };
+    }
+    const timestampFilter = buildTimestampFilter(range);
+    if (timestampFilter) {
+      callWhere.start_timestamp = timestampFilter;
     }
 
     const [totalAgents, activeAgents, totalCalls, totalCost] = await Promise.all(
@@ -1861,17 +4293,11 @@ router.get(
               where: { status: "ACTIVE", agent_id: { in: assignedAgentIds } },
             })
           : prisma.agent.count({ where: { status: "ACTIVE" } }),
-        assignedAgentIds
-          ? prisma.call.count({ where: { agent_id: { in: assignedAgentIds } } })
-          : prisma.call.count(),
-        assignedAgentIds
-          ? prisma.call.aggregate({
-              where: { agent_id: { in: assignedAgentIds } },
-              _sum: { cost: true },
-            })
-          : prisma.call.aggregate({
-              _sum: { cost: true },
-            }),
+        prisma.call.count({ where: callWhere }),
+        prisma.call.aggregate({
+          where: callWhere,
+          _sum: { cost: true },
+        }),
       ]
     );
 
@@ -1894,112 +4320,215 @@ router.get(
   })
 );
 
+/**
+ * Where clause for the sync runs a caller may see: superadmins see every
+ * run, others full syncs and syncs of their own agents
+ * @param {Object} req - Express request with req.agentScope
+ * @returns {Object}
+ */
+const syncRunScopeWhere = (req) => {
+  const agentIds = accessibleAgentIds(req);
+  if (!agentIds) {
+    return {};
+  }
+  return { OR: [{ agent_id: null }, { agent_id: { in: agentIds } }] };
+};
+
+/**
+ * Error messages of a run name calls and agents of every organization, so
+ * only superadmins get them
+ * @param {Object} req - Express request
+ * @param {Object|null} run - SyncRun
+ * @returns {Object|null}
+ */
+const formatSyncRun = (req, run) => {
+  if (!run || req.user?.role === "SUPERADMIN") {
+    return run;
+  }
+  const { error_messages: errorMessages, ...rest } = run;
+  return rest;
+};
+
 /**
  * GET /api/dashboard/sync-status
- * Get sync status (placeholder - can be enhanced with job tracking)
+ * Get sync job history and the latest run of each type
  */
 router.get(
   "/sync-status",
+  requirePermission("sync:run"),
   asyncHandler(async (req, res) => {
-    // Get last sync information from database
-    const [lastCallSync, lastAgentSync] = await Promise.all([
-      prisma.call.findFirst({
-        orderBy: { updated_at: "desc" },
-        select: { updated_at: true },
-      }),
-      prisma.agent.findFirst({
-        orderBy: { updated_at: "desc" },
-        select: { updated_at: true },
+    const { error, value } = syncStatusSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { limit, offset, type, status } = value;
+
+    const scopeWhere = syncRunScopeWhere(req);
+    const where = { ...scopeWhere };
+    if (type) {
+      where.type = type;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const latestRun = (runType, runStatus) =>
+      prisma.syncRun.findFirst({
+        where: {
+          ...scopeWhere,
+          type: runType,
+          ...(runStatus && { status: runStatus }),
+        },
+        orderBy: { started_at: "desc" },
+      });
+
+    const [
+      lastCallRun,
+      lastCallSuccess,
+      lastAgentRun,
+      lastAgentSuccess,
+      runs,
+      totalCount,
+    ] = await Promise.all([
+      latestRun("CALLS"),
+      latestRun("CALLS", "SUCCEEDED"),
+      latestRun("AGENTS"),
+      latestRun("AGENTS", "SUCCEEDED"),
+      prisma.syncRun.findMany({
+        where,
+        orderBy: { started_at: "desc" },
+        skip: offset,
+        take: limit,
       }),
+      prisma.syncRun.count({ where }),
     ]);
 
     res.json({
       success: true,
       data: {
         calls: {
-          lastSynced: lastCallSync?.updated_at || null,
+          lastSynced: lastCallSuccess?.finished_at || null,
+          lastRun: formatSyncRun(req, lastCallRun),
         },
         agents: {
-          lastSynced: lastAgentSync?.updated_at || null,
+          lastSynced: lastAgentSuccess?.finished_at || null,
+          lastRun: formatSyncRun(req, lastAgentRun),
+        },
+        runs: runs.map((run) => formatSyncRun(req, run)),
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: offset + limit < totalCount,
         },
       },
     });
   })
 );
 
+/**
+ * GET /api/dashboard/sync-status/:runId
+ * Get a single sync run
+ */
+router.get(
+  "/sync-status/:runId",
+  requirePermission("sync:run"),
+  asyncHandler(async (req, res) => {
+    const { runId } = req.params;
+
+    const run = await prisma.syncRun.findFirst({
+      where: { id: runId, ...syncRunScopeWhere(req) },
+    });
+
+    if (!run) {
+      throw new NotFoundError(`Sync run with ID ${runId} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: formatSyncRun(req, run),
+    });
+  })
+);
+
 // ============================================
 // SEARCH/FILTER APIs
 // ============================================
 
 /**
  * GET /api/dashboard/search/calls
- * Search calls by transcript, caller info, etc.
+ * Full-text search over call IDs, caller info, summaries and transcripts,
+ * ranked by relevance, with highlighted transcript snippets
  */
 router.get(
   "/search/calls",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { error, value } = searchCallsSchema.validate(req.query);
     if (error) {
       throw new ValidationError(error.details[0].message);
     }
 
-    const { query, limit, offset, agentId } = value;
-
-    // Build where clause
-    const where = {
-      OR: [
-        { transcript: { contains: query, mode: "insensitive" } },
-        { caller_info: { contains: query, mode: "insensitive" } },
-        { call_summary: { contains: query, mode: "insensitive" } },
-        { call_id: { contains: query, mode: "insensitive" } },
-      ],
-    };
-
-    if (agentId) {
-      where.agent_id = agentId;
-    }
+    const { query, limit, offset, agentId, callStatus, sentiment, sortBy } =
+      value;
+    const range = parseDateRange(value);
+
+    const { results, total: totalCount } = await searchCalls({
+      query,
+      includeTranscripts: hasPermission(req, "transcripts:read"),
+      agentIds: scopedAgentIds(req, agentId, "TRANSCRIPTS"),
+      callStatus,
+      sentiment,
+      range,
+      sortBy,
+      limit,
+      offset,
+    });
 
-    const [calls, totalCount] = await Promise.all([
-      prisma.call.findMany({
-        where,
-        orderBy: { start_timestamp: "desc" },
-        skip: offset,
-        take: limit,
-        select: {
-          id: true,
-          call_id: true,
-          agent_id: true,
-          caller_info: true,
-          start_timestamp: true,
-          end_timestamp: true,
-          duration_ms: true,
-          duration_seconds: true,
-          transcript: true,
-          call_status: true,
-          cost: true,
-          call_summary: true,
-          user_sentiment: true,
-          call_successful: true,
-          recording_url: true,
-          created_at: true,
-          updated_at: true,
-          agent: {
-            select: {
-              agent_id: true,
-              agent_name: true,
-            },
+    const calls = await prisma.call.findMany({
+      where: { id: { in: results.map((result) => result.id) } },
+      select: {
+        id: true,
+        call_id: true,
+        agent_id: true,
+        caller_info: true,
+        start_timestamp: true,
+        end_timestamp: true,
+        duration_ms: true,
+        duration_seconds: true,
+        transcript: true,
+        call_status: true,
+        cost: true,
+        call_summary: true,
+        user_sentiment: true,
+        call_successful: true,
+        recording_url: true,
+        created_at: true,
+        updated_at: true,
+        agent: {
+          select: {
+            agent_id: true,
+            agent_name: true,
           },
         },
-      }),
-      prisma.call.count({ where }),
-    ]);
-
-    // Convert BigInt timestamps to numbers
-    const formattedCalls = calls.map((call) => ({
-      ...call,
-      start_timestamp: Number(call.start_timestamp),
-      end_timestamp: Number(call.end_timestamp),
-    }));
+      },
+    });
+    const callsById = new Map(calls.map((call) => [call.id, call]));
+
+    // Keep the search order and convert BigInt timestamps to numbers
+    const formattedCalls = results
+      .filter((result) => callsById.has(result.id))
+      .map(({ id, rank, highlight }) => {
+        const call = callsById.get(id);
+        return redactCallFields(req, {
+          ...call,
+          start_timestamp: Number(call.start_timestamp),
+          end_timestamp: Number(call.end_timestamp),
+          rank,
+          highlight,
+        });
+      });
 
     res.json({
       success: true,
@@ -2022,6 +4551,7 @@ router.get(
  */
 router.get(
   "/search/agents",
+  requirePermission("calls:read"),
   asyncHandler(async (req, res) => {
     const { error, value } = searchAgentsSchema.validate(req.query);
     if (error) {
@@ -2037,6 +4567,10 @@ router.get(
         { agent_id: { contains: query, mode: "insensitive" } },
       ],
     };
+    const agentFilter = scopedAgentFilter(req);
+    if (agentFilter) {
+      where.agent_id = agentFilter;
+    }
 
     const [agents, totalCount] = await Promise.all([
       prisma.agent.findMany({
@@ -2049,6 +4583,7 @@ router.get(
           agent_id: true,
           agent_name: true,
           status: true,
+          organization_id: true,
           created_at: true,
           updated_at: true,
           _count: {
@@ -0,0 +1,47 @@
+import express from "express";
+import { prisma } from "../lib/database.js";
+import { logger } from "../lib/logger.js";
+import {
+  streamRecording,
+  verifyRecordingSignature,
+} from "../lib/recordings.js";
+import {
+  asyncHandler,
+  UnauthorizedError,
+  NotFoundError,
+} from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/recordings/:callId
+ * Streams a call recording for a signed URL issued by
+ * GET /api/dashboard/calls/:callId/recording-url
+ */
+router.get(
+  "/:callId",
+  asyncHandler(async (req, res) => {
+    const { callId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyRecordingSignature(callId, expires, signature)) {
+      logger.warn("Recording request with invalid signature", {
+        ip: req.ip,
+        callId,
+      });
+      throw new UnauthorizedError("Invalid or expired recording URL");
+    }
+
+    const call = await prisma.call.findUnique({
+      where: { call_id: callId },
+      select: { recording_url: true },
+    });
+    if (!call?.recording_url) {
+      throw new NotFoundError("Recording not found");
+    }
+
+    await streamRecording(call.recording_url, req, res);
+  })
+);
+
+export default router;
@@ -0,0 +1,77 @@
+import express from "express";
+import Joi from "joi";
+import { prisma } from "../lib/database.js";
+import { retellAPI } from "../lib/retell.js";
+import { logger } from "../lib/logger.js";
+import { mapRetellCall, mapRetellCallUpdate } from "../lib/callMapper.js";
+import {
+  asyncHandler,
+  ValidationError,
+  UnauthorizedError,
+} from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+const RETELL_CALL_EVENTS = ["call_started", "call_ended", "call_analyzed"];
+
+const retellWebhookSchema = Joi.object({
+  event: Joi.string().required(),
+  call: Joi.object({
+    call_id: Joi.string().required(),
+    agent_id: Joi.string().required(),
+  })
+    .unknown(true)
+    .required(),
+}).unknown(true);
+
+/**
+ * POST /api/webhooks/retell
+ * Receives Retell call lifecycle events and upserts the call
+ */
+router.post(
+  "/retell",
+  asyncHandler(async (req, res) => {
+    const signature = req.headers["x-retell-signature"];
+    const rawBody = req.rawBody || JSON.stringify(req.body);
+
+    if (!retellAPI.verifyWebhookSignature(rawBody, signature)) {
+      logger.warn("Retell webhook with invalid signature", { ip: req.ip });
+      throw new UnauthorizedError("Invalid webhook signature");
+    }
+
+    const { error, value } = retellWebhookSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const { event, call } = value;
+
+    if (!RETELL_CALL_EVENTS.includes(event)) {
+      logger.debug("Ignoring Retell webhook event", { event });
+      return res.status(204).end();
+    }
+
+    logger.info("Received Retell webhook", { event, callId: call.call_id });
+
+    // Calls reference agents, so make sure the agent row exists first
+    await prisma.agent.upsert({
+      where: { agent_id: call.agent_id },
+      update: {},
+      create: {
+        agent_id: call.agent_id,
+        agent_name: `Agent ${call.agent_id}`,
+        status: "ACTIVE",
+      },
+    });
+
+    await prisma.call.upsert({
+      where: { call_id: call.call_id },
+      update: mapRetellCallUpdate(call),
+      create: mapRetellCall(call),
+    });
+
+    res.status(204).end();
+  })
+);
+
+export default router;
@@ -18,7 +18,7 @@ async function testSetup() {
 
   // Test 1: Environment Variables
   console.log("1️⃣ Testing environment variables...");
-  const requiredEnvVars = ["DATABASE_URL", "RETELL_API_KEY", "API_AUTH_KEY"];
+  const requiredEnvVars = ["DATABASE_URL", "RETELL_API_KEY", "JWT_SECRET"];
   const missingVars = requiredEnvVars.filter(
     (varName) => !process.env[varName]
   );
@@ -0,0 +1,117 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { stubPrisma } from "./support/fakePrismaClient.js";
+import { authHeaders, startTestServer } from "./support/app.js";
+import { SYSTEM_ROLES, invalidateRoleCache } from "../src/lib/permissions.js";
+
+const ORG_KEY = "avx_organization-key";
+
+// An admin of org-a whose custom role only lets them read calls
+const restrictedAdmin = {
+  id: "admin-r",
+  role: "ADMIN",
+  role_id: "analyst",
+  status: "APPROVED",
+  organization_id: "org-a",
+};
+
+const roles = [
+  ...Object.values(SYSTEM_ROLES).map((role) => ({ id: role.name, ...role })),
+  { id: "analyst", name: "analyst", permissions: ["calls:read"] },
+];
+
+describe("API key permissions", () => {
+  let server;
+  let users;
+  let createdKeys;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    invalidateRoleCache();
+    users = { [restrictedAdmin.id]: restrictedAdmin };
+    createdKeys = [];
+
+    stubPrisma({
+      session: {
+        findUnique: ({ where }) => {
+          const user = users[where.id.replace("session-", "")];
+          return {
+            user_id: user.id,
+            revoked_at: null,
+            expires_at: new Date(Date.now() + 60 * 60 * 1000),
+            user: { role_id: user.role_id },
+          };
+        },
+      },
+      role: { findMany: () => roles },
+      user: {
+        findUnique: ({ where }) => users[where.id] || null,
+      },
+      agent: { findMany: () => [] },
+      apiKey: {
+        // An organization key with every scope, created by restrictedAdmin
+        findUnique: () => ({
+          id: "key-1",
+          scopes: ["calls:read", "users:manage"],
+          user: null,
+          organization_id: "org-a",
+          created_by_id: restrictedAdmin.id,
+          revoked_at: null,
+          expires_at: null,
+        }),
+        update: ({ data }) => data,
+        create: ({ data }) => {
+          createdKeys.push(data);
+          return { id: "key-2", ...data };
+        },
+      },
+      auditEvent: { create: ({ data }) => data },
+    });
+  });
+
+  const createKey = (user, scopes) =>
+    server.request("/api/dashboard/api-keys", {
+      method: "POST",
+      headers: { ...authHeaders(user), "content-type": "application/json" },
+      body: JSON.stringify({ name: "CRM", scopes, organizationId: "org-a" }),
+    });
+
+  const getWithOrgKey = (path) =>
+    server.request(`/api/dashboard${path}`, {
+      headers: { "x-api-key": ORG_KEY },
+    });
+
+  it("rejects organization keys with scopes the creator lacks", async () => {
+    const response = await createKey(restrictedAdmin, ["users:manage"]);
+    assert.equal(response.status, 403);
+    assert.equal(createdKeys.length, 0);
+  });
+
+  it("creates organization keys with scopes the creator holds", async () => {
+    const response = await createKey(restrictedAdmin, ["calls:read"]);
+    assert.equal(response.status, 201);
+    assert.deepEqual(createdKeys[0].scopes, ["calls:read"]);
+  });
+
+  it("limits organization keys to their creator's permissions", async () => {
+    assert.equal((await getWithOrgKey("/users")).status, 403);
+    assert.equal((await getWithOrgKey("/search/agents?query=a")).status, 200);
+  });
+
+  it("grants organization keys what their creator holds", async () => {
+    users[restrictedAdmin.id] = { ...restrictedAdmin, role_id: null };
+    assert.equal((await getWithOrgKey("/users")).status, 200);
+  });
+
+  it("rejects organization keys of a demoted creator", async () => {
+    users[restrictedAdmin.id] = { ...restrictedAdmin, role: "USER" };
+    assert.equal((await getWithOrgKey("/search/agents?query=a")).status, 401);
+  });
+});
@@ -0,0 +1,166 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { stubPrisma } from "./support/fakePrismaClient.js";
+import { authHeaders, startTestServer } from "./support/app.js";
+import { SYSTEM_ROLES, invalidateRoleCache } from "../src/lib/permissions.js";
+
+const orgAdmin = { id: "admin-a", role: "ADMIN", organization_id: "org-a" };
+const member = { id: "user-m", organization_id: "org-a" };
+const agents = ["agent_a", "agent_a2"].map((agentId) => ({
+  agent_id: agentId,
+  organization_id: "org-a",
+}));
+const expiry = new Date("2099-01-01T00:00:00.000Z");
+
+// Matches a string or { in: [...] } condition of a where clause
+const matches = (value, condition) =>
+  condition === undefined ||
+  (typeof condition === "string"
+    ? value === condition
+    : condition.in.includes(value));
+
+const matchesPair = (assignment, where) =>
+  matches(assignment.user_id, where.user_id) &&
+  matches(assignment.agent_id, where.agent_id);
+
+describe("assigning agents to users with existing assignments", () => {
+  let server;
+  let assignments;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    invalidateRoleCache();
+    // member already sees agent_a, with metrics only and an expiry
+    assignments = [
+      {
+        user_id: member.id,
+        agent_id: "agent_a",
+        access_level: "METRICS",
+        expires_at: expiry,
+      },
+    ];
+
+    stubPrisma({
+      session: {
+        findUnique: () => ({
+          user_id: orgAdmin.id,
+          revoked_at: null,
+          expires_at: new Date(Date.now() + 60 * 60 * 1000),
+          user: { role_id: null },
+        }),
+      },
+      role: {
+        findMany: () =>
+          Object.values(SYSTEM_ROLES).map((role) => ({
+            id: role.name,
+            ...role,
+          })),
+      },
+      user: { findMany: () => [member] },
+      agent: {
+        findMany: ({ where }) =>
+          agents.filter((agent) => matches(agent.agent_id, where.agent_id)),
+      },
+      userAgent: {
+        findMany: ({ where }) =>
+          assignments.filter((assignment) => matchesPair(assignment, where)),
+        updateMany: ({ where, data }) => {
+          const matching = assignments.filter((assignment) =>
+            matchesPair(assignment, where)
+          );
+          matching.forEach((assignment) => Object.assign(assignment, data));
+          return { count: matching.length };
+        },
+        createMany: ({ data }) => {
+          assignments.push(...data);
+          return { count: data.length };
+        },
+        deleteMany: ({ where }) => {
+          const before = assignments.length;
+          assignments = assignments.filter(
+            (assignment) => !matchesPair(assignment, where)
+          );
+          return { count: before - assignments.length };
+        },
+      },
+      auditEvent: { create: ({ data }) => data },
+    });
+  });
+
+  const send = (method, path, body) =>
+    server.request(`/api/dashboard${path}`, {
+      method,
+      headers: { ...authHeaders(orgAdmin), "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  const assignmentOf = (agentId) =>
+    assignments.find((assignment) => assignment.agent_id === agentId);
+
+  describe("POST /assignments/bulk", () => {
+    it("adds agents without changing existing assignments", async () => {
+      const response = await send("POST", "/assignments/bulk", {
+        action: "assign",
+        userIds: [member.id],
+        agentIds: ["agent_a", "agent_a2"],
+      });
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual(data.updated, []);
+
+      assert.equal(assignmentOf("agent_a").access_level, "METRICS");
+      assert.deepEqual(assignmentOf("agent_a").expires_at, expiry);
+      assert.equal(assignmentOf("agent_a2").access_level, "RECORDINGS");
+      assert.equal(assignmentOf("agent_a2").expires_at, null);
+    });
+
+    it("updates existing assignments with the settings sent", async () => {
+      const response = await send("POST", "/assignments/bulk", {
+        action: "assign",
+        userIds: [member.id],
+        agentIds: ["agent_a"],
+        accessLevel: "TRANSCRIPTS",
+      });
+      assert.equal(response.status, 200);
+
+      assert.equal(assignmentOf("agent_a").access_level, "TRANSCRIPTS");
+      assert.deepEqual(assignmentOf("agent_a").expires_at, expiry);
+    });
+  });
+
+  describe("PUT /users/:userId/agents", () => {
+    it("adds agents without changing those that stay", async () => {
+      const response = await send("PUT", `/users/${member.id}/agents`, {
+        agentIds: ["agent_a", "agent_a2"],
+      });
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual(data.added, ["agent_a2"]);
+      assert.deepEqual(data.updated, []);
+
+      assert.equal(assignmentOf("agent_a").access_level, "METRICS");
+      assert.deepEqual(assignmentOf("agent_a").expires_at, expiry);
+      assert.equal(assignmentOf("agent_a2").access_level, "RECORDINGS");
+    });
+
+    it("clears the expiry of agents that stay when sent null", async () => {
+      const response = await send("PUT", `/users/${member.id}/agents`, {
+        agentIds: ["agent_a"],
+        expiresAt: null,
+      });
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual(data.updated, ["agent_a"]);
+
+      assert.equal(assignmentOf("agent_a").access_level, "METRICS");
+      assert.equal(assignmentOf("agent_a").expires_at, null);
+    });
+  });
+});
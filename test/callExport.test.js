@@ -0,0 +1,60 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Prisma, stubPrisma } from "./support/fakePrismaClient.js";
+import { writeCallExport } from "../src/lib/callExport.js";
+
+// 502 matching calls, call-1 the newest: more than one batch of search hits
+const calls = Array.from({ length: 502 }, (_, i) => ({
+  id: `id-${i + 1}`,
+  call_id: `call-${i + 1}`,
+  start_timestamp: BigInt(1704067200000 - i * 1000),
+}));
+
+const createResponse = () => {
+  const chunks = [];
+  return {
+    chunks,
+    destroyed: false,
+    set: () => {},
+    write: (chunk) => chunks.push(chunk),
+    end: () => {},
+  };
+};
+
+describe("writeCallExport with a search query", () => {
+  it("exports every match newest first across batches", async () => {
+    stubPrisma({
+      // Search hits, paged newest first after the last row of the page before
+      $queryRaw: (strings, ...values) => {
+        const last = Prisma.sql(strings, ...values).values.find(
+          (value) => typeof value === "bigint"
+        );
+        const start = last
+          ? calls.findIndex((call) => call.start_timestamp === last) + 1
+          : 0;
+        return calls.slice(start, start + 500);
+      },
+      call: {
+        // The database returns the rows of a batch in no particular order
+        findMany: ({ where }) => {
+          const ids = where.AND[1].id.in;
+          return calls.filter((call) => ids.includes(call.id)).reverse();
+        },
+      },
+    });
+
+    const res = createResponse();
+    const count = await writeCallExport(res, {
+      format: "ndjson",
+      columns: ["call_id"],
+      where: {},
+      search: { query: "refund", includeTranscripts: true },
+    });
+
+    assert.equal(count, calls.length);
+    assert.deepEqual(
+      res.chunks.map((chunk) => JSON.parse(chunk).call_id),
+      calls.map((call) => call.call_id)
+    );
+  });
+});
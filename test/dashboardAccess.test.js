@@ -0,0 +1,313 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Prisma, stubPrisma } from "./support/fakePrismaClient.js";
+import { authHeaders, startTestServer } from "./support/app.js";
+import { SYSTEM_ROLES, invalidateRoleCache } from "../src/lib/permissions.js";
+
+// Two clients (organizations), each with their own agents and calls
+const agents = [
+  { id: "1", agent_id: "agent_a", agent_name: "A", organization_id: "org-a" },
+  { id: "2", agent_id: "agent_a2", agent_name: "A2", organization_id: "org-a" },
+  { id: "3", agent_id: "agent_b", agent_name: "B", organization_id: "org-b" },
+].map((agent) => ({ status: "ACTIVE", ...agent }));
+
+const calls = [
+  { id: "c1", call_id: "call_a", agent_id: "agent_a", sentiment: "Positive" },
+  { id: "c2", call_id: "call_b", agent_id: "agent_b", sentiment: "Negative" },
+].map(({ sentiment, ...call }) => ({
+  start_timestamp: 1704067200000n,
+  end_timestamp: 1704067260000n,
+  transcript: "Customer asked for a refund",
+  call_summary: "Refund request",
+  call_status: "ended",
+  user_sentiment: sentiment,
+  recording_url: null,
+  ...call,
+}));
+
+const orgAdmin = { id: "admin-a", role: "ADMIN", organization_id: "org-a" };
+const transcriptsUser = {
+  id: "user-t",
+  role: "USER",
+  organization_id: "org-a",
+};
+const metricsUser = { id: "user-m", role: "USER", organization_id: "org-a" };
+const otherAgentUser = { id: "user-o", role: "USER", organization_id: "org-a" };
+
+const assignments = {
+  [transcriptsUser.id]: [{ agent_id: "agent_a", access_level: "TRANSCRIPTS" }],
+  [metricsUser.id]: [{ agent_id: "agent_a", access_level: "METRICS" }],
+  [otherAgentUser.id]: [{ agent_id: "agent_a2", access_level: "MANAGE" }],
+};
+
+// Equality match on the agent_id / organization_id conditions the routes use
+const matchesAgentId = (record, condition) =>
+  condition === undefined ||
+  (typeof condition === "string"
+    ? record.agent_id === condition
+    : condition.in.includes(record.agent_id));
+
+const matchesWhere = (record, where = {}) =>
+  matchesAgentId(record, where.agent_id) &&
+  (!("organization_id" in where) ||
+    record.organization_id === where.organization_id);
+
+const stubDatabase = (overrides = {}) =>
+  stubPrisma({
+    session: {
+      findUnique: ({ where }) => ({
+        user_id: where.id.replace("session-", ""),
+        revoked_at: null,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000),
+        user: { role_id: null },
+      }),
+    },
+    role: {
+      findMany: () =>
+        Object.values(SYSTEM_ROLES).map((role) => ({
+          id: role.name,
+          name: role.name,
+          permissions: role.permissions,
+        })),
+    },
+    userAgent: {
+      findMany: ({ where }) => assignments[where.user_id] || [],
+    },
+    agent: {
+      findMany: ({ where }) =>
+        agents.filter((agent) => matchesWhere(agent, where)),
+      findUnique: ({ where }) =>
+        agents.find((agent) => agent.agent_id === where.agent_id) || null,
+    },
+    call: {
+      findMany: ({ where }) =>
+        calls.filter(
+          (call) =>
+            matchesWhere(call, where) &&
+            (!where.id || where.id.in.includes(call.id))
+        ),
+      findUnique: ({ where }) =>
+        calls.find((call) => call.call_id === where.call_id) || null,
+      count: ({ where }) =>
+        calls.filter((call) => matchesWhere(call, where)).length,
+      groupBy: ({ by: [field], where }) => {
+        const counts = new Map();
+        for (const call of calls.filter((call) => matchesWhere(call, where))) {
+          counts.set(call[field], (counts.get(call[field]) || 0) + 1);
+        }
+        return [...counts].map(([value, count]) => ({
+          [field]: value,
+          _count: count,
+        }));
+      },
+    },
+    // Call buckets of /analytics/calls: one bucket holding the calls of the
+    // agents the query names
+    $queryRaw: (strings, ...values) => {
+      const sql = Prisma.sql(strings, ...values);
+      const totalCalls = calls.filter((call) =>
+        sql.values.includes(call.agent_id)
+      ).length;
+      return [
+        {
+          label: "2024-01-01",
+          start_timestamp: 1704067200000n,
+          total_calls: totalCalls,
+          successful_calls: 0,
+          analyzed_calls: 0,
+          total_cost: 0,
+          total_duration: 0,
+        },
+      ];
+    },
+    ...overrides,
+  });
+
+describe("dashboard agent scoping", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    invalidateRoleCache();
+    stubDatabase();
+  });
+
+  const get = (path, user) =>
+    server.request(`/api/dashboard${path}`, { headers: authHeaders(user) });
+
+  describe("GET /calls/:callId", () => {
+    it("returns a call of an agent with transcript access", async () => {
+      const response = await get("/calls/call_a", transcriptsUser);
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.equal(data.call_id, "call_a");
+      assert.equal(data.transcript, "Customer asked for a refund");
+    });
+
+    it("hides calls of another client's agents", async () => {
+      const response = await get("/calls/call_b", orgAdmin);
+      assert.equal(response.status, 404);
+    });
+
+    it("hides calls of agents assigned with metrics access only", async () => {
+      const response = await get("/calls/call_a", metricsUser);
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe("GET /call-history/:agentId", () => {
+    it("lists the calls of an agent with transcript access", async () => {
+      const response = await get("/call-history/agent_a", transcriptsUser);
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual(
+        data.calls.map((call) => call.call_id),
+        ["call_a"]
+      );
+    });
+
+    it("rejects another client's agent", async () => {
+      const response = await get("/call-history/agent_b", orgAdmin);
+      assert.equal(response.status, 403);
+    });
+
+    it("rejects agents assigned with metrics access only", async () => {
+      const response = await get("/call-history/agent_a", metricsUser);
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe("GET /agent-info/:agentId", () => {
+    it("returns an agent assigned with metrics access", async () => {
+      const response = await get("/agent-info/agent_a", metricsUser);
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.equal(data.agent_id, "agent_a");
+    });
+
+    it("rejects another client's agent", async () => {
+      const response = await get("/agent-info/agent_b", orgAdmin);
+      assert.equal(response.status, 403);
+    });
+
+    it("rejects an unassigned agent of the same client", async () => {
+      const response = await get("/agent-info/agent_a", otherAgentUser);
+      assert.equal(response.status, 403);
+    });
+  });
+
+  // What each analytics endpoint returns for agent_a alone
+  const analyticsChecks = {
+    "/analytics/overview": (data) => {
+      assert.equal(data.totalCalls, 1);
+      assert.deepEqual(data.callsByStatus, { ended: 1 });
+    },
+    "/analytics/agents": (data) => {
+      assert.deepEqual(
+        data.map((agent) => [agent.agent_id, agent.totalCalls]),
+        [["agent_a", 1]]
+      );
+    },
+    "/analytics/calls": (data) => {
+      assert.equal(data.summary.totalCalls, 1);
+    },
+    "/analytics/sentiment": (data) => {
+      assert.equal(data.totalCallsWithSentiment, 1);
+      assert.deepEqual(Object.keys(data.sentimentDistribution), ["Positive"]);
+    },
+  };
+
+  for (const [path, checkAgentData] of Object.entries(analyticsChecks)) {
+    describe(`GET ${path}`, () => {
+      const query = "startDate=2024-01-01&endDate=2024-01-07&agentId=";
+
+      it("returns metrics of an agent with metrics access", async () => {
+        const response = await get(`${path}?${query}agent_a`, metricsUser);
+        assert.equal(response.status, 200);
+        checkAgentData((await response.json()).data);
+      });
+
+      it("limits an admin to the requested agent", async () => {
+        const response = await get(`${path}?${query}agent_a`, orgAdmin);
+        assert.equal(response.status, 200);
+        checkAgentData((await response.json()).data);
+      });
+
+      it("rejects another client's agent", async () => {
+        const response = await get(`${path}?${query}agent_b`, orgAdmin);
+        assert.equal(response.status, 403);
+      });
+
+      it("rejects an unassigned agent of the same client", async () => {
+        const response = await get(`${path}?${query}agent_a`, otherAgentUser);
+        assert.equal(response.status, 403);
+      });
+    });
+  }
+
+  describe("GET /search/calls", () => {
+    beforeEach(() => {
+      stubDatabase({
+        $queryRaw: (strings) =>
+          strings.join("").includes("COUNT(*)")
+            ? [{ total: 1 }]
+            : [{ id: "c1", rank: 0.5, highlight: null }],
+      });
+    });
+
+    it("searches an agent assigned with transcript access", async () => {
+      const response = await get(
+        "/search/calls?query=refund&agentId=agent_a",
+        transcriptsUser
+      );
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual(
+        data.calls.map((call) => call.call_id),
+        ["call_a"]
+      );
+    });
+
+    it("rejects another client's agent", async () => {
+      const response = await get(
+        "/search/calls?query=refund&agentId=agent_b",
+        orgAdmin
+      );
+      assert.equal(response.status, 403);
+    });
+
+    it("rejects agents assigned with metrics access only", async () => {
+      const response = await get(
+        "/search/calls?query=refund&agentId=agent_a",
+        metricsUser
+      );
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe("POST /sync-calls", () => {
+    const post = (body, user) =>
+      server.request("/api/dashboard/sync-calls", {
+        method: "POST",
+        headers: { ...authHeaders(user), "content-type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+    it("rejects a sync of every organization's calls", async () => {
+      const response = await post({}, orgAdmin);
+      assert.equal(response.status, 403);
+    });
+
+    it("rejects another client's agent", async () => {
+      const response = await post({ agentId: "agent_b" }, orgAdmin);
+      assert.equal(response.status, 403);
+    });
+  });
+});
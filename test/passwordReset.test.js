@@ -0,0 +1,133 @@
+import { after, before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import { stubPrisma } from "./support/fakePrismaClient.js";
+import { startTestServer } from "./support/app.js";
+import { logger } from "../src/lib/logger.js";
+import { createConsoleTransport, setMailTransport } from "../src/lib/mailer.js";
+
+const user = {
+  id: "user-1",
+  email: "jane@example.com",
+  organization_id: "org-a",
+  email_verified_at: null,
+};
+
+describe("password reset", () => {
+  let server;
+  let sentMail;
+  let tokens;
+  let userUpdates;
+  let revokedSessions;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    setMailTransport(null);
+    await server.close();
+  });
+
+  beforeEach(() => {
+    sentMail = [];
+    tokens = [];
+    userUpdates = [];
+    revokedSessions = [];
+    setMailTransport({ send: async (message) => sentMail.push(message) });
+
+    stubPrisma({
+      user: {
+        findUnique: ({ where }) =>
+          where.email === user.email || where.id === user.id ? user : null,
+        update: ({ data }) => {
+          userUpdates.push(data);
+          return { ...user, ...data };
+        },
+      },
+      userToken: {
+        create: ({ data }) => {
+          tokens.push({ ...data, used_at: null });
+          return data;
+        },
+        // Issuing a token retires the user's earlier ones; consuming one
+        // marks it used if it is still valid
+        updateMany: ({ where, data }) => {
+          const matching = tokens.filter(
+            (token) =>
+              token.used_at === null &&
+              (where.token_hash
+                ? token.token_hash === where.token_hash &&
+                  token.expires_at > where.expires_at.gt
+                : token.user_id === where.user_id)
+          );
+          matching.forEach((token) => Object.assign(token, data));
+          return { count: matching.length };
+        },
+        findUnique: ({ where }) =>
+          tokens.find((token) => token.token_hash === where.token_hash),
+      },
+      session: {
+        updateMany: ({ where }) => {
+          revokedSessions.push(where.user_id);
+          return { count: 1 };
+        },
+      },
+      auditEvent: { create: ({ data }) => data },
+    });
+  });
+
+  const post = (path, body) =>
+    server.request(`/api/auth${path}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  const resetTokenFromMail = (message) =>
+    new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+  it("emails a link whose token sets a new password once", async () => {
+    const response = await post("/password-reset/request", {
+      email: user.email,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(sentMail.length, 1);
+    assert.equal(sentMail[0].to, user.email);
+
+    const token = resetTokenFromMail(sentMail[0]);
+    const confirm = () =>
+      post("/password-reset/confirm", { token, password: "n3w-password" });
+
+    assert.equal((await confirm()).status, 200);
+    assert.equal(userUpdates.length, 1);
+    const { passwordHash } = userUpdates[0];
+    assert.ok(await bcrypt.compare("n3w-password", passwordHash));
+    assert.deepEqual(revokedSessions, [user.id]);
+
+    assert.equal((await confirm()).status, 400);
+  });
+
+  it("answers unknown addresses alike without sending mail", async () => {
+    const response = await post("/password-reset/request", {
+      email: "nobody@example.com",
+    });
+    assert.equal(response.status, 200);
+    assert.equal(sentMail.length, 0);
+  });
+
+  it("keeps the token out of mail logged by the console", async () => {
+    const info = mock.method(logger, "info", () => {});
+    setMailTransport(createConsoleTransport());
+
+    await post("/password-reset/request", { email: user.email });
+
+    const [, logged] = info.mock.calls.find(
+      (call) => call.arguments[0] === "Mail (console transport)"
+    ).arguments;
+    assert.match(logged.text, /\?token=\[redacted\]/);
+    assert.doesNotMatch(logged.text, /token=[0-9a-f]{64}/);
+    assert.equal(tokens.length, 1);
+    info.mock.restore();
+  });
+});
@@ -0,0 +1,61 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { stubPrisma } from "./support/fakePrismaClient.js";
+import { rotateSession } from "../src/lib/sessions.js";
+
+const session = {
+  id: "session-1",
+  user_id: "user-1",
+  revoked_at: null,
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  user: {
+    id: "user-1",
+    role: "USER",
+    status: "APPROVED",
+    organization_id: "org-a",
+    totp_enabled_at: null,
+  },
+};
+
+describe("rotateSession", () => {
+  let rotations;
+  let revocations;
+
+  // rotated: whether another request rotated the token after it was read
+  const stubSession = ({ rotated }) =>
+    stubPrisma({
+      session: {
+        findUnique: ({ where }) => (where.refresh_token_hash ? session : null),
+        updateMany: ({ where }) => {
+          if (where.refresh_token_hash) {
+            rotations.push(where);
+            return { count: rotated ? 0 : 1 };
+          }
+          revocations.push(where.id);
+          return { count: 1 };
+        },
+      },
+    });
+
+  beforeEach(() => {
+    rotations = [];
+    revocations = [];
+  });
+
+  it("rotates a refresh token that is still current", async () => {
+    stubSession({ rotated: false });
+    const tokens = await rotateSession("refresh-token");
+    assert.ok(tokens.token);
+    assert.notEqual(tokens.refreshToken, "refresh-token");
+    assert.equal(rotations.length, 1);
+    assert.deepEqual(revocations, []);
+  });
+
+  it("revokes the session when a concurrent refresh won", async () => {
+    stubSession({ rotated: true });
+    await assert.rejects(rotateSession("refresh-token"), {
+      name: "UnauthorizedError",
+    });
+    assert.deepEqual(revocations, [session.id]);
+  });
+});
@@ -0,0 +1,54 @@
+import express from "express";
+import jwt from "jsonwebtoken";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { authMiddleware } from "../../src/middleware/auth.js";
+import authRoutes from "../../src/routes/auth.js";
+import dashboardRoutes from "../../src/routes/dashboard.js";
+
+/**
+ * The API routes as mounted by src/index.js, without its rate limits,
+ * logging or scheduled jobs
+ * @returns {Object} - Express app
+ */
+export const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRoutes);
+  app.use("/api/dashboard", authMiddleware, dashboardRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Start the test app on a free port
+ * @returns {Promise<Object>} - { request, close }, where request(path,
+ *   options) fetches a path of the app
+ */
+export const startTestServer = async () => {
+  const server = createTestApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: (path, options = {}) => fetch(`${baseUrl}${path}`, options),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+/**
+ * Authorization header with an access token for a user; the session it
+ * names must be returned by the session.findUnique stub
+ * @param {Object} user - User fixture (id, role, organization_id)
+ * @returns {Object}
+ */
+export const authHeaders = (user) => ({
+  authorization: `Bearer ${jwt.sign(
+    {
+      sub: user.id,
+      role: user.role,
+      org: user.organization_id,
+      sid: `session-${user.id}`,
+    },
+    process.env.JWT_SECRET
+  )}`,
+});
@@ -0,0 +1,90 @@
+import {
+  Decimal,
+  Sql,
+  empty,
+  join,
+  raw,
+  sqltag,
+} from "@prisma/client/runtime/library.js";
+
+/**
+ * Same SQL helpers as the generated client
+ */
+export const Prisma = { Decimal, Sql, empty, join, raw, sql: sqltag };
+
+// What a query returns when a test has not stubbed it, by method name
+const DEFAULT_RESULTS = {
+  findUnique: null,
+  findFirst: null,
+  findMany: [],
+  count: 0,
+  aggregate: { _sum: {}, _avg: {}, _count: 0 },
+  groupBy: [],
+  $queryRaw: [],
+  $executeRaw: 0,
+};
+
+let stubs = {};
+
+/**
+ * Replace query results for the following requests
+ * @param {Object} nextStubs - Model name to method name to a function taking
+ *   the query arguments, e.g. { call: { findUnique: ({ where }) => call } };
+ *   $queryRaw and $executeRaw take the tagged template arguments
+ */
+export const stubPrisma = (nextStubs) => {
+  stubs = nextStubs;
+};
+
+const runQuery = async (model, method, args) => {
+  const stub = model ? stubs[model]?.[method] : stubs[method];
+  if (stub) {
+    return stub(...args);
+  }
+  if (!(method in DEFAULT_RESULTS)) {
+    throw new Error(`Unstubbed Prisma query ${model}.${method}`);
+  }
+  return DEFAULT_RESULTS[method];
+};
+
+const modelProxy = (model) =>
+  new Proxy(
+    {},
+    {
+      get: (target, method) =>
+        (...args) =>
+          runQuery(model, method, args),
+    }
+  );
+
+/**
+ * Stand-in for the generated PrismaClient whose queries return the stubbed
+ * results
+ */
+export class PrismaClient {
+  constructor() {
+    return new Proxy(this, {
+      get: (target, property) => {
+        if (property in target || typeof property !== "string") {
+          return target[property];
+        }
+        if (property.startsWith("$")) {
+          return (...args) => runQuery(null, property, args);
+        }
+        return modelProxy(property);
+      },
+    });
+  }
+
+  $on() {}
+
+  async $connect() {}
+
+  async $disconnect() {}
+
+  async $transaction(queries) {
+    return typeof queries === "function"
+      ? queries(this)
+      : Promise.all(queries);
+  }
+}
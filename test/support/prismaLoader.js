@@ -0,0 +1,15 @@
+const FAKE_CLIENT_URL = new URL("./fakePrismaClient.js", import.meta.url).href;
+
+/**
+ * Module resolve hook that replaces @prisma/client with an in-memory fake,
+ * so that routes can be tested without a generated client or a database
+ */
+export const resolve = async (specifier, context, nextResolve) => {
+  if (
+    specifier === "@prisma/client" &&
+    context.parentURL !== FAKE_CLIENT_URL
+  ) {
+    return { url: FAKE_CLIENT_URL, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+};
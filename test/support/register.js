@@ -0,0 +1,11 @@
+import { register } from "module";
+
+// Loaded with --import before every test file
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.RETELL_API_KEY = "test-retell-key";
+
+register("./prismaLoader.js", import.meta.url);
+
+const { logger } = await import("../../src/lib/logger.js");
+logger.silent = true;